@@ -1,30 +1,46 @@
 // scripts/classify.js
 // Classification flow using per-item fail-fast and provider rotation.
-// Provider priority per item: Gemini (direct) → OpenRouter (guardrailed) → DeepSeek (guardrailed).
+// Providers come from the "classify" chain in config/models.json (see lib/llm-router.js).
+// Replies must be strict JSON (usefulness, confidence, reason, nextSteps, matchedCriteria);
+// an invalid reply counts as a provider failure and falls through to the next provider.
+// Items run CLASSIFY_CONCURRENCY at a time (default 3; projects within an item stay sequential),
+// paced by the router's per-provider rate limits.
 // Stores results incrementally to knowledge.json after each project classification,
-// and syncs immediately to the knowledgebase repo.
+// and queues a sync to the knowledgebase repo (batched commits, flushed at stage end).
 // Uses fullSummary (preferred) for richer signal; falls back to summary/description/title.
+// Prompts carry the full project profile: objectives, tech stack, usefulness criteria,
+// prompt hints, and size-bounded excerpts of the PRD/changelog resolved via sourceDocs.
+// Bookmark tags are a strong signal: project.json "tags" lists the tags that mean "saved for this
+// project"; matches are called out in the prompt and recorded as matchedTags on the classification.
 // Idempotent: if item already classified for all active projects, skip (even if cache is empty).
+// Stops cleanly (no fail-fast) when the rolling spend budget is exhausted; returns { budgetExhausted }.
+// Each classification is stamped with profileHash (project profile + full source docs), so
+// reclassify() can re-score a project, a date range, or only items judged against a stale profile.
 
 import fs from "node:fs/promises";
 import path from "node:path";
+import crypto from "node:crypto";
 import { fileURLToPath } from "node:url";
 
-import { callWithRotation } from "./lib/openrouter.js";
-import { callGemini } from "./lib/gemini.js";
-// import { callOpenAI } from "./lib/openai.js"; // ⛔ disabled
-import { callDeepSeek } from "./lib/deepseek.js";
-import { safeCall } from "./lib/guardrails.js";
-import { loadJson, saveJsonCheckpoint } from "./lib/utils.js";
+import { callLLM } from "./lib/llm-router.js";
+import { runPool, createSerialQueue } from "./lib/scheduler.js";
+import { loadJson, saveJsonCheckpoint, parseStrictJSON } from "./lib/utils.js";
+import { openKnowledgeStore } from "./lib/knowledge-store.js";
+import { DATA_DIR } from "./lib/paths.js";
+import { migrateUsefulness } from "./migrate-usefulness.js";
 import { logStageUsage, estimateTokensFromText } from "./lib/token-usage.js";
-import { syncKnowledge } from "./lib/kb-sync.js";
+import { syncKnowledge, flushPending } from "./lib/kb-sync.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.resolve(__dirname, "..");
-const KNOWLEDGE_FILE = path.join(ROOT, "data", "knowledge.json");
-const STATE_FILE = path.join(ROOT, "data/cache/classify-state.json");
+const STATE_FILE = path.join(DATA_DIR, "cache", "classify-state.json");
+const CONCURRENCY = Number(process.env.CLASSIFY_CONCURRENCY ?? 3);
 const PROJECTS_DIR = path.join(ROOT, "projects");
 
+// Character budgets for project docs included in each classification prompt
+const PRD_EXCERPT_CHARS = Number(process.env.CLASSIFY_PRD_CHARS ?? 4000);
+const CHANGELOG_EXCERPT_CHARS = Number(process.env.CLASSIFY_CHANGELOG_CHARS ?? 1000);
+
 // ---------- Logging ----------
 function log(msg, ctx = {}) {
   const ts = new Date().toISOString();
@@ -35,39 +51,111 @@ function nowIso() {
   return new Date().toISOString();
 }
 
-// ---------- Throttling helper ----------
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
+// ---------- Helpers ----------
+
+// Keep the head of a document, cut at the last paragraph/line break within budget
+function excerpt(text, maxChars) {
+  const t = String(text || "").trim();
+  if (!t || t.length <= maxChars) return t;
+  const head = t.slice(0, maxChars);
+  const cut = Math.max(head.lastIndexOf("\n\n"), head.lastIndexOf("\n"));
+  return `${cut > maxChars * 0.5 ? head.slice(0, cut) : head}\n…(truncated)`;
+}
+
+// Keep the tail (most recent entries) of an append-style changelog
+function tailExcerpt(text, maxChars) {
+  const t = String(text || "").trim();
+  if (!t || t.length <= maxChars) return t;
+  const tail = t.slice(-maxChars);
+  const cut = tail.indexOf("\n");
+  return `…\n${cut >= 0 ? tail.slice(cut + 1) : tail}`;
+}
+
+// Resolve sourceDocs (paths relative to the project folder) into bounded excerpts.
+// Also returns a hash of each full document so edits beyond the excerpt still count.
+async function loadSourceDocs(projectDir, sourceDocs = []) {
+  const docs = {};
+  const docHashes = {};
+  for (const doc of Array.isArray(sourceDocs) ? sourceDocs : []) {
+    if (!doc?.path) continue;
+    const type = String(doc.type || "DOC").toUpperCase();
+    const resolved = path.resolve(projectDir, doc.path);
+    if (!resolved.startsWith(projectDir + path.sep)) continue; // stay inside the project folder
+    try {
+      const text = await fs.readFile(resolved, "utf8");
+      docHashes[type] = sha256(text);
+      docs[type] =
+        type === "CHANGELOG"
+          ? tailExcerpt(text, CHANGELOG_EXCERPT_CHARS)
+          : excerpt(text, PRD_EXCERPT_CHARS);
+    } catch {
+      log("Project source doc missing", { path: resolved });
+    }
+  }
+  return { docs, docHashes };
+}
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(String(text)).digest("hex");
+}
+
+// Content hash of everything a classification is judged against
+function projectProfileHash(config, docHashes) {
+  const profile = {
+    name: config.name ?? null,
+    summary: config.summary ?? null,
+    objectives: config.objectives ?? config.goals ?? null,
+    techStack: config.techStack ?? null,
+    usefulnessCriteria: config.usefulnessCriteria ?? null,
+    promptHint: config.promptHints?.classification ?? null,
+    // Only when set, so projects without tags keep their existing hash
+    ...(config.tags ? { tags: config.tags } : {}),
+    docs: Object.keys(docHashes).sort().map((k) => [k, docHashes[k]]),
+  };
+  return sha256(JSON.stringify(profile)).slice(0, 16);
 }
 
-// ---------- Helpers ----------
 async function loadProjects() {
   const entries = await fs.readdir(PROJECTS_DIR, { withFileTypes: true });
   const projects = [];
   for (const entry of entries) {
     if (!entry.isDirectory()) continue;
-    const configPath = path.join(PROJECTS_DIR, entry.name, "project.json");
+    const projectDir = path.join(PROJECTS_DIR, entry.name);
+    const configPath = path.join(projectDir, "project.json");
     try {
       const text = await fs.readFile(configPath, "utf8");
       const config = JSON.parse(text);
-      projects.push({ key: entry.name, ...config });
+      const { docs, docHashes } = await loadSourceDocs(projectDir, config.sourceDocs);
+      const profileHash = projectProfileHash(config, docHashes);
+      projects.push({ key: entry.name, ...config, docs, profileHash });
     } catch {}
   }
   return projects;
 }
 
-function parseUsefulness(text) {
-  if (/high/i.test(text)) return "HIGH";
-  if (/moderate/i.test(text)) return "MODERATE";
-  return "LOW";
-}
-function extractReason(text) {
-  const match = text.match(/why(?: it matters)?:?\s*(.+)/i);
-  return match ? match[1].trim() : "";
-}
-function extractNextSteps(text) {
-  const match = text.match(/next steps?:?\s*(.+)/i);
-  return match ? match[1].trim() : "";
+// Rubric vocabulary from project.json (usefulnessCriteria.high/moderate/archive)
+const USEFULNESS_LEVELS = ["HIGH", "MODERATE", "ARCHIVE"];
+
+// Validate + normalize a parsed classification reply; null if it does not match the schema
+function validateClassification(obj) {
+  if (!obj || typeof obj !== "object") return null;
+
+  let usefulness = String(obj.usefulness ?? "").trim().toUpperCase();
+  if (usefulness === "LOW") usefulness = "ARCHIVE"; // models sometimes fall back to the old tier name
+  if (!USEFULNESS_LEVELS.includes(usefulness)) return null;
+
+  const confidence = Number(obj.confidence);
+  if (!Number.isFinite(confidence) || confidence < 0 || confidence > 1) return null;
+
+  const reason = typeof obj.reason === "string" ? obj.reason.trim() : "";
+  if (!reason) return null;
+
+  const nextSteps = typeof obj.nextSteps === "string" ? obj.nextSteps.trim() : "";
+  const matchedCriteria = Array.isArray(obj.matchedCriteria)
+    ? obj.matchedCriteria.filter((c) => typeof c === "string" && c.trim()).map((c) => c.trim())
+    : [];
+
+  return { usefulness, confidence, reason, nextSteps, matchedCriteria };
 }
 
 // Use long summary if available
@@ -84,36 +172,77 @@ function materialForItem(item) {
   };
 }
 
+function normalizeTag(tag) {
+  return String(tag ?? "").trim().replace(/^#/, "").toLowerCase();
+}
+
+// Item tags that the project declares as its own (case-insensitive, leading # ignored)
+function matchedProjectTags(item, project) {
+  const projectTags = new Set((Array.isArray(project.tags) ? project.tags : []).map(normalizeTag));
+  if (!projectTags.size || !Array.isArray(item.tags)) return [];
+  return item.tags.filter((t) => projectTags.has(normalizeTag(t)));
+}
+
+function bulletList(list, indent = "  ") {
+  const arr = Array.isArray(list) ? list.filter(Boolean) : [];
+  return arr.length ? arr.map((x) => `${indent}- ${x}`).join("\n") : `${indent}(unspecified)`;
+}
+
+function renderCriteria(criteria = {}) {
+  const tiers = [
+    ["HIGH", criteria.high],
+    ["MODERATE", criteria.moderate],
+    ["ARCHIVE", criteria.archive],
+  ];
+  return tiers.map(([label, list]) => `- ${label}:\n${bulletList(list, "    ")}`).join("\n");
+}
+
 function buildPrompt({ project, item }) {
   const mat = materialForItem(item);
+  const tags = Array.isArray(item.tags) ? item.tags.filter(Boolean) : [];
+  const matched = matchedProjectTags(item, project);
+  const tagLines = [
+    tags.length ? `- Bookmark tags: ${tags.join(", ")}` : null,
+    matched.length
+      ? `- Tagged for this project (${matched.join(", ")}) by the person who saved it: strong evidence it is useful here; rate ARCHIVE only if the content clearly contradicts that.`
+      : null,
+    item.note ? `- Bookmark note: ${item.note}` : null,
+  ].filter(Boolean);
+  const objectives = project.objectives ?? project.goals;
+  const hint = project.promptHints?.classification;
+  const prd = project.docs?.PRD;
+  const changelog = project.docs?.CHANGELOG;
   return `
 You are classifying usefulness of an item for a specific project.
 
 Project:
 - Name: ${project.name}
 - Summary: ${project.summary || "(none)"}
-- Goals: ${(project.goals || []).map((g) => `- ${g}`).join("\n") || "(unspecified)"}
+- Objectives:
+${bulletList(objectives)}
+- Tech stack:
+${bulletList(project.techStack)}
+
+Usefulness criteria:
+${renderCriteria(project.usefulnessCriteria)}
+${hint ? `\nProject guidance: ${hint}\n` : ""}${prd ? `\nPRD (excerpt):\n${prd}\n` : ""}${changelog ? `\nRecent changelog:\n${changelog}\n` : ""}
 
 Item:
 - Title: ${mat.title}
 - URL: ${mat.url}
-- Content:
+${tagLines.length ? `${tagLines.join("\n")}\n` : ""}- Content:
 ${mat.text ? mat.text : "(no content, title/URL only)"}
 
-Respond in plain text with:
-1) Usefulness level: one of HIGH, MODERATE, or LOW
-2) Why it matters: a single brief reason
-3) Next steps: a single brief suggestion if useful
-
-Format example:
-HIGH
-Why it matters: …
-Next steps: …
-`.trim();
+Return STRICT JSON ONLY (no Markdown), matching exactly this schema:
+{
+  "usefulness": "HIGH" | "MODERATE" | "ARCHIVE",
+  "confidence": 0.0-1.0,
+  "reason": "one brief sentence on why it matters (or does not) for this project",
+  "nextSteps": "one brief suggestion if useful, otherwise empty string",
+  "matchedCriteria": ["usefulness criteria above that this item meets, quoted verbatim"]
 }
-
-function validClassificationText(t = "") {
-  return /(HIGH|MODERATE|LOW)/i.test(t);
+Confidence reflects how sure you are of the usefulness level.
+`.trim();
 }
 
 // Strong guard: is this item already classified for every active project?
@@ -136,41 +265,97 @@ function upsertProjectClassification(item, project, data) {
     project: project.name,
     projectKey: project.key,
     usefulness: data.usefulness,
+    confidence: data.confidence,
     reason: data.reason,
     nextSteps: data.nextSteps,
+    matchedCriteria: data.matchedCriteria,
+    ...(data.matchedTags?.length ? { matchedTags: data.matchedTags } : {}),
     modelUsed: data.modelUsed,
-    classifiedAt: data.classifiedAt ?? nowIso()
+    profileHash: project.profileHash,
+    classifiedAt: data.classifiedAt ?? nowIso(),
+    ...(data.reclassifiedAt ? { reclassifiedAt: data.reclassifiedAt } : {})
   };
   if (idx >= 0) {
     // Only fill missing fields; don't create duplicates
     item.projects[idx] = { ...item.projects[idx], ...payload };
+    if (!payload.matchedTags) delete item.projects[idx].matchedTags; // tags removed since last run
   } else {
     item.projects.push(payload);
   }
 }
 
+// Classify one item for one project: prompt → provider ladder → stamp onto item (in memory).
+// Returns the validated result plus usage so callers can persist/budget as they need.
+async function classifyItemForProject(item, project, { reclassifiedAt = null } = {}) {
+  const prompt = buildPrompt({ project, item });
+  const previous = (item.projects || []).find(
+    (x) => x.projectKey === project.key || x.project === project.name
+  );
+
+  // An invalid JSON reply counts as a provider failure and falls through the chain
+  const { text, model, provider, usage, result } = await callLLM("classify", prompt, {
+    validate: (txt) => validateClassification(parseStrictJSON(txt)),
+    log,
+    ctx: { id: item.id, project: project.name }
+  });
+
+  upsertProjectClassification(item, project, {
+    ...result,
+    matchedTags: matchedProjectTags(item, project),
+    modelUsed: model,
+    // Re-scoring keeps the original date so the digest does not resurface old items
+    classifiedAt: reclassifiedAt ? previous?.classifiedAt ?? reclassifiedAt : nowIso(),
+    reclassifiedAt
+  });
+
+  // --- per-item, per-project token usage in knowledge.json
+  const inputTokens = usage.prompt_tokens;
+  const outputTokens = usage.completion_tokens;
+  const totalTokens = usage.total_tokens;
+
+  item.usage = item.usage || {};
+  item.usage.classify = item.usage.classify || {};
+  item.usage.classify[project.key] = {
+    model,
+    provider,
+    inputTokens,
+    outputTokens,
+    totalTokens,
+    costUsd: usage.costUsd,
+    ts: new Date().toISOString()
+  };
+
+  await logStageUsage("classify", model, prompt, text, item.id, usage);
+
+  return { model, provider, result, totalTokens };
+}
+
 // ---------- Main classification ----------
 export async function classify(options = {}) {
-  const knowledge = await loadJson(KNOWLEDGE_FILE, { items: [] });
+  const store = await openKnowledgeStore();
   const state = await loadJson(STATE_FILE, { processed: [] });
+  await migrateUsefulness({ store }); // legacy LOW → ARCHIVE before anything reads tiers
 
   const maxConsecutiveFails = Number(options?.failFast?.maxConsecutiveFails ?? 5);
   let consecutiveFails = 0;
   let classifiedCount = 0;
+  let budgetExhausted = false;
+  let failFastError = null;
+  const persist = createSerialQueue(); // one store/state write at a time
 
   const projects = await loadProjects();
   const activeProjects = projects.filter(
     (p) => p?.status?.toLowerCase?.() === "active" || p?.active === true
   );
 
-  for (const item of knowledge.items) {
+  await runPool(store.iterate(), async (item) => {
     // Knowledge-first idempotent skip
     if (isFullyClassifiedForActiveProjects(item, activeProjects) || state.processed.includes(item.id)) {
       if (!state.processed.includes(item.id)) {
         state.processed.push(item.id);
-        await saveJsonCheckpoint(STATE_FILE, state);
+        await persist(() => saveJsonCheckpoint(STATE_FILE, state));
       }
-      continue;
+      return;
     }
 
     let anySuccessForItem = false;
@@ -183,88 +368,14 @@ export async function classify(options = {}) {
         );
         if (existing) continue;
 
-        const prompt = buildPrompt({ project, item });
-
-        // Priority: Gemini → OpenRouter (guardrailed) → DeepSeek (guardrailed)
-        let text = "";
-        let model = "";
-        let provider = "";
-        let rawUsage = null;
-
-        try {
-          const r = await callGemini(prompt);
-          text = r.text; model = r.model; provider = "gemini";
-          rawUsage = { total_tokens: r.tokens ?? 0, provider };
-          log("Used Gemini for classify", { id: item.id, project: project.name, model });
-        } catch (e2) {
-          log("Gemini failed; fallback to OpenRouter", { id: item.id, project: project.name, error: e2.message });
-          try {
-            const r = await safeCall({
-              provider: "openrouter",
-              model: "rotation",
-              fn: () => callWithRotation(prompt, "classify"),
-              estCost: 1
-            });
-            if (!r) throw new Error("OpenRouter skipped (cap reached)");
-            text = r.text; model = r.model; provider = r.provider || "openrouter";
-            rawUsage = { ...r.rawUsage, provider };
-            log("Used OpenRouter for classify", { id: item.id, project: project.name, model, provider });
-          } catch (e3) {
-            log("OpenRouter failed; fallback to DeepSeek", { id: item.id, project: project.name, error: e3.message });
-            const r = await safeCall({
-              provider: "deepseek",
-              model: "deepseek-chat",
-              fn: () => callDeepSeek(prompt),
-              estCost: 0.01
-            });
-            if (!r) throw new Error("DeepSeek skipped (cap reached)");
-            text = r.text; model = r.model; provider = "deepseek";
-            rawUsage = r.rawUsage ? { ...r.rawUsage, provider } : { provider };
-            log("Used DeepSeek direct for classify", { id: item.id, project: project.name, model });
-          }
-        }
+        const { model, provider, result, totalTokens } = await classifyItemForProject(item, project);
 
-        if (!validClassificationText(text)) {
-          log("Invalid classification output; marking LOW", { id: item.id, project: project.name, model });
-        }
-
-        const usefulness = parseUsefulness(text);
-        const reason = extractReason(text);
-        const nextSteps = extractNextSteps(text);
-        const classifiedAt = nowIso();
-
-        upsertProjectClassification(item, project, {
-          usefulness,
-          reason,
-          nextSteps,
-          modelUsed: model,
-          classifiedAt
+        await persist(async () => {
+          await store.upsert(item);
+          await saveJsonCheckpoint(STATE_FILE, state);
+          await syncKnowledge();   // queue push (batched)
         });
 
-        // --- NEW: per-item, per-project token usage in knowledge.json
-        const inputTokens = rawUsage?.prompt_tokens ?? estimateTokensFromText(prompt);
-        const outputTokens = rawUsage?.completion_tokens ?? estimateTokensFromText(text);
-        const totalTokens = rawUsage?.total_tokens ?? (inputTokens + outputTokens);
-
-        item.usage = item.usage || {};
-        item.usage.classify = item.usage.classify || {};
-        item.usage.classify[project.key] = {
-          model,
-          provider,
-          inputTokens,
-          outputTokens,
-          totalTokens,
-          ts: new Date().toISOString()
-        };
-
-        await logStageUsage("classify", model, prompt, text, item.id, { ...rawUsage, provider });
-
-        await saveJsonCheckpoint(KNOWLEDGE_FILE, knowledge);
-        await saveJsonCheckpoint(STATE_FILE, state);
-
-        await syncKnowledge();   // push immediately
-        await sleep(5000);       // throttle
-
         classifiedCount++;
         anySuccessForItem = true;
         log("Classified item", {
@@ -272,6 +383,8 @@ export async function classify(options = {}) {
           project: project.name,
           model,
           provider,
+          usefulness: result.usefulness,
+          confidence: result.confidence,
           tokens: totalTokens
         });
       }
@@ -280,29 +393,152 @@ export async function classify(options = {}) {
       if (isFullyClassifiedForActiveProjects(item, activeProjects)) {
         if (!state.processed.includes(item.id)) {
           state.processed.push(item.id);
-          await saveJsonCheckpoint(STATE_FILE, state);
+          await persist(() => saveJsonCheckpoint(STATE_FILE, state));
         }
       }
     } catch (err) {
+      if (err.budgetExhausted) {
+        budgetExhausted = true;
+        log("Budget exhausted; stopping classification", { id: item.id, error: err.message });
+        return;
+      }
       log("Failed to classify item", { id: item.id, error: err.message });
     }
 
     if (!anySuccessForItem) {
       consecutiveFails += 1;
-      if (consecutiveFails >= maxConsecutiveFails) {
-        throw new Error(
+      if (consecutiveFails >= maxConsecutiveFails && !failFastError) {
+        failFastError = new Error(
           `Fail-fast: ${consecutiveFails} consecutive items failed to classify across all providers`
         );
       }
     } else {
       consecutiveFails = 0;
     }
+  }, {
+    concurrency: CONCURRENCY,
+    shouldStop: () => budgetExhausted || Boolean(failFastError)
+  });
+
+  if (failFastError) {
+    // In-flight items have settled; keep their results before failing the stage
+    await store.flush();
+    await store.close();
+    throw failFastError;
   }
 
+  const total = await store.count();
+  await store.flush();
+  await store.close();
+  await flushPending("Classify update");
   log("Classify step complete", {
-    total: knowledge.items.length,
-    classified: classifiedCount
+    total,
+    classified: classifiedCount,
+    budgetExhausted
   });
+  return { classified: classifiedCount, budgetExhausted };
+}
+
+// ---------- Re-classification ----------
+
+function itemDate(item) {
+  const d = new Date(item.publishedAt || item.createdAt || item.ingestedAt || 0);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Re-score items that already carry a classification for a project.
+ * @param {object} [options]
+ * @param {string} [options.project]    - project key (default: all active projects)
+ * @param {string} [options.since]      - only items published/ingested on or after this date
+ * @param {string} [options.until]      - only items published/ingested before this date
+ * @param {boolean} [options.staleOnly] - only items whose profileHash differs from the current profile
+ * @param {number} [options.tokenBudget] - stop before exceeding this many tokens (0 = unlimited)
+ */
+export async function reclassify(options = {}) {
+  const since = options.since ? new Date(options.since) : null;
+  const until = options.until ? new Date(options.until) : null;
+  const tokenBudget = Number(options.tokenBudget ?? 0);
+  const maxConsecutiveFails = Number(options?.failFast?.maxConsecutiveFails ?? 5);
+
+  const projects = (await loadProjects()).filter((p) =>
+    options.project
+      ? p.key === options.project
+      : p?.status?.toLowerCase?.() === "active" || p?.active === true
+  );
+  if (!projects.length) throw new Error(`No matching project for reclassify (${options.project ?? "active"})`);
+
+  const store = await openKnowledgeStore();
+  await migrateUsefulness({ store });
+
+  let tokensUsed = 0;
+  let reclassified = 0;
+  let changed = 0;
+  let consecutiveFails = 0;
+  let budgetHit = false;
+
+  for await (const item of store.iterate()) {
+    if (budgetHit) break;
+    const d = itemDate(item);
+    if (since && (!d || d < since)) continue;
+    if (until && (!d || d >= until)) continue;
+
+    for (const project of projects) {
+      const existing = (item.projects || []).find(
+        (x) => (x.projectKey === project.key || x.project === project.name) && x.usefulness
+      );
+      if (!existing) continue; // never classified: regular classify() handles it
+      if (options.staleOnly && existing.profileHash === project.profileHash) continue;
+
+      const estimate = estimateTokensFromText(buildPrompt({ project, item }));
+      if (tokenBudget > 0 && tokensUsed + estimate > tokenBudget) {
+        log("Reclassify token budget reached", { tokensUsed, tokenBudget });
+        budgetHit = true;
+        break;
+      }
+
+      try {
+        const before = existing.usefulness;
+        const { result, totalTokens } = await classifyItemForProject(item, project, {
+          reclassifiedAt: nowIso()
+        });
+        tokensUsed += totalTokens;
+        reclassified++;
+        if (result.usefulness !== before) changed++;
+        consecutiveFails = 0;
+
+        await store.upsert(item);
+        await syncKnowledge();   // queue push (batched)
+        log("Reclassified item", {
+          id: item.id,
+          project: project.name,
+          from: before,
+          to: result.usefulness,
+          confidence: result.confidence,
+          tokensUsed
+        });
+      } catch (err) {
+        if (err.budgetExhausted) {
+          log("Spend budget exhausted; stopping reclassify", { error: err.message });
+          budgetHit = true;
+          break;
+        }
+        log("Failed to reclassify item", { id: item.id, project: project.name, error: err.message });
+        consecutiveFails += 1;
+        if (consecutiveFails >= maxConsecutiveFails) {
+          await store.flush();
+          await store.close();
+          throw new Error(`Fail-fast: ${consecutiveFails} consecutive reclassifications failed`);
+        }
+      }
+    }
+  }
+
+  await store.flush();
+  await store.close();
+  await flushPending("Reclassify update");
+  log("Reclassify complete", { reclassified, changed, tokensUsed, budgetHit });
+  return { reclassified, changed, tokensUsed, budgetHit };
 }
 
 // ---------- Entrypoint ----------
@@ -0,0 +1,148 @@
+// scripts/cluster.js
+// Near-duplicate clustering of enriched items across sources: the same announcement saved as a
+// bookmark, covered by several videos and linked from a feed becomes one cluster.
+//  - Each enriched item is embedded from title + summary (lib/embeddings.js; vectors cached under
+//    data/embeddings/cluster.json, so only new or re-enriched items are embedded again)
+//  - Two items join when their cosine similarity reaches the embedding model's clusterThreshold
+//    (CLUSTER_SIMILARITY overrides it) and they are at most CLUSTER_WINDOW_DAYS apart, or when
+//    their canonical URLs match (lib/url-canonical.js)
+//  - Joins are transitive (union-find), but a similarity join also needs each item to reach the
+//    threshold against the other's cluster root (its earliest member), so a chain of pairwise-similar
+//    items cannot drift into unrelated topics; clusterId = "c_" + hash of the earliest member's id,
+//    so it stays stable as later items join
+//  - Items in a cluster of two or more carry `clusterId`; singletons carry none
+// Only items whose clusterId changed are written back; knowledge.json is queued for sync once.
+
+import crypto from "node:crypto";
+
+import { openKnowledgeStore } from "./lib/knowledge-store.js";
+import { syncKnowledge, flushPending } from "./lib/kb-sync.js";
+import { embedDocuments, cosine } from "./lib/embeddings.js";
+import { canonicalUrl } from "./lib/url-canonical.js";
+
+const WINDOW_DAYS = Number(process.env.CLUSTER_WINDOW_DAYS ?? 14);
+const SIMILARITY = process.env.CLUSTER_SIMILARITY ? Number(process.env.CLUSTER_SIMILARITY) : null;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ---------- Logging ----------
+function log(msg, ctx = {}) {
+  const ts = new Date().toISOString();
+  console.log(`[${ts}] ${msg}`, Object.keys(ctx).length ? ctx : "");
+}
+
+// ---------- Helpers ----------
+function itemTime(item) {
+  const t = new Date(item.publishedAt || item.createdAt || item.ingestedAt || 0).getTime();
+  return Number.isNaN(t) ? 0 : t;
+}
+
+function clusterText(item) {
+  return `${item.title || ""}\n${item.summary || ""}`.trim();
+}
+
+function clusterIdFor(item) {
+  return `c_${crypto.createHash("sha1").update(String(item.id)).digest("hex").slice(0, 12)}`;
+}
+
+function createUnionFind(n) {
+  const parent = Array.from({ length: n }, (_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  // The root is always the lower index, i.e. the earliest item once items are sorted by time
+  const union = (a, b) => {
+    const ra = find(a);
+    const rb = find(b);
+    if (ra !== rb) parent[Math.max(ra, rb)] = Math.min(ra, rb);
+  };
+  return { find, union };
+}
+
+// ---------- Main ----------
+export async function cluster() {
+  const store = await openKnowledgeStore();
+  const items = [];
+  for await (const it of store.iterate({ where: (it) => it?.id && it.summary })) items.push(it);
+  items.sort((a, b) => itemTime(a) - itemTime(b) || (String(a.id) < String(b.id) ? -1 : 1));
+
+  const { entry, model, vectors, embedded } = await embedDocuments(
+    "cluster",
+    items.map((it) => ({ id: String(it.id), text: clusterText(it) })),
+    { log }
+  );
+  const threshold = SIMILARITY ?? Number(entry.clusterThreshold ?? 0.85);
+
+  const uf = createUnionFind(items.length);
+  const byCanonical = new Map();
+  const windowMs = WINDOW_DAYS * DAY_MS;
+  const vectorAt = (i) => vectors.get(String(items[i].id));
+
+  // Root without a vector (joined by URL only): the pairwise similarity has to do
+  function closeToRoot(i, root) {
+    if (i === root || !vectorAt(root)) return true;
+    return cosine(vectorAt(i), vectorAt(root)) >= threshold;
+  }
+
+  for (let i = 0; i < items.length; i++) {
+    const canonical = canonicalUrl(items[i].url);
+    if (canonical) {
+      if (byCanonical.has(canonical)) uf.union(byCanonical.get(canonical), i);
+      else byCanonical.set(canonical, i);
+    }
+
+    const vi = vectorAt(i);
+    if (!vi) continue; // not embedded this run (see EMBEDDINGS_MIN_COVERAGE)
+    // Items are sorted by time, so the window ends at the first item that is too late
+    for (let j = i + 1; j < items.length && itemTime(items[j]) - itemTime(items[i]) <= windowMs; j++) {
+      const vj = vectorAt(j);
+      if (!vj || cosine(vi, vj) < threshold) continue;
+      const ri = uf.find(i);
+      const rj = uf.find(j);
+      if (ri !== rj && closeToRoot(j, ri) && closeToRoot(i, rj)) uf.union(i, j);
+    }
+  }
+
+  const sizes = new Map();
+  for (let i = 0; i < items.length; i++) {
+    const root = uf.find(i);
+    sizes.set(root, (sizes.get(root) ?? 0) + 1);
+  }
+
+  let changed = 0;
+  let clustered = 0;
+  for (let i = 0; i < items.length; i++) {
+    const root = uf.find(i);
+    const clusterId = sizes.get(root) > 1 ? clusterIdFor(items[root]) : undefined;
+    if (clusterId) clustered++;
+    if (items[i].clusterId === clusterId) continue;
+
+    const item = { ...items[i] };
+    if (clusterId) item.clusterId = clusterId;
+    else delete item.clusterId;
+    await store.upsert(item);
+    changed++;
+  }
+
+  await store.flush();
+  await store.close();
+  if (changed) {
+    await syncKnowledge();
+    await flushPending("Cluster update");
+  }
+
+  const clusters = Array.from(sizes.values()).filter((n) => n > 1).length;
+  log("Cluster step complete", { items: items.length, model, threshold, embedded, clusters, clustered, changed });
+  return { clusters, clustered, changed };
+}
+
+// ---------- Entrypoint ----------
+if (import.meta.url === `file://${process.argv[1]}`) {
+  cluster().catch((err) => {
+    console.error("Cluster step failed", err);
+    process.exitCode = 1;
+  });
+}
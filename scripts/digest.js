@@ -4,15 +4,20 @@ import fsSync from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import { ensureDir, loadJson, saveJsonCheckpoint } from "./lib/utils.js";
+import { openKnowledgeStore } from "./lib/knowledge-store.js";
+import { DATA_DIR, DRY_RUN_OUTBOX } from "./lib/paths.js";
+import { DRY_RUN } from "./lib/dry-run.js";
+import { fetchWithRetry } from "./lib/http.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.resolve(__dirname, "..");
-const DATA = path.join(ROOT, "data");
-const KNOWLEDGE_FILE = path.join(DATA, "knowledge.json");
+const DATA = DATA_DIR;
 const DIGEST_DIR = path.join(DATA, "digest");
 const DIGEST_STATE_FILE = path.join(DATA, "cache", "digest-state.json");
 
 const DIGEST_WINDOW_HOURS = Number(process.env.DIGEST_WINDOW_HOURS ?? 24);
+const MAX_KEY_MOMENTS = 5; // per digest card
+const MAX_ALSO_COVERED = 5; // "also covered by" links per clustered card
 
 const BREVO_API_KEY = process.env.BREVO_API_KEY;
 const BREVO_FROM_EMAIL = process.env.BREVO_FROM_EMAIL ?? "no-reply@example.com";
@@ -31,7 +36,7 @@ function safeFilenameDate() {
   return new Date().toISOString().replace(/[:.]/g, "-");
 }
 
-// ---- Choose the best classification per item (HIGH > MODERATE). Return null if none.
+// ---- Choose the best classification per item (HIGH > MODERATE, then confidence). Return null if none.
 function parseIsoDate(value) {
   if (!value) return null;
   const d = new Date(value);
@@ -44,14 +49,27 @@ function isRecentClass(cls, cutoff) {
   return ts.getTime() >= cutoff.getTime();
 }
 
+// Legacy classifications have no confidence; rank them below scored ones
+function confidenceOf(cls) {
+  const c = Number(cls?.confidence);
+  return Number.isFinite(c) ? c : -1;
+}
+
+const USEFULNESS_RANK = { HIGH: 0, MODERATE: 1 };
+
+function compareClasses(a, b) {
+  const byTier = USEFULNESS_RANK[a.usefulness] - USEFULNESS_RANK[b.usefulness];
+  if (byTier !== 0) return byTier;
+  return confidenceOf(b) - confidenceOf(a);
+}
+
 function bestClass(item, cutoff) {
   const classes = Array.isArray(item.projects) ? item.projects : [];
-  const recent = classes.filter((p) => isRecentClass(p, cutoff));
-  const high = recent.find((p) => p.usefulness === "HIGH");
-  if (high) return high;
-  const moderate = recent.find((p) => p.usefulness === "MODERATE");
-  if (moderate) return moderate;
-  return null;
+  const useful = classes.filter(
+    (p) => isRecentClass(p, cutoff) && p.usefulness in USEFULNESS_RANK
+  );
+  if (!useful.length) return null;
+  return useful.sort(compareClasses)[0];
 }
 
 // ---- Build digest entries from knowledge.json
@@ -65,23 +83,73 @@ function buildUsefulEntries(knowledge, cutoff) {
       title: it.title || "(untitled)",
       url: it.url || "",
       summary: it.summary || "",
+      keyMoments: (it.enrichment?.key_moments || []).slice(0, MAX_KEY_MOMENTS),
       usefulness: cls.usefulness, // HIGH or MODERATE
+      confidence: typeof cls.confidence === "number" ? cls.confidence : null,
       reason: cls.reason || "",
       nextSteps: cls.nextSteps || "",
       publishedAt: it.publishedAt || it.createdAt || "",
       project: cls.project || "General",
       projectKey: cls.projectKey || null,
-      classifiedAt: cls.classifiedAt || null
+      classifiedAt: cls.classifiedAt || null,
+      clusterId: it.clusterId || null
     });
   }
-  // Sort so HIGH always come before MODERATE
-  out.sort((a, b) => {
-    if (a.usefulness === b.usefulness) return 0;
-    return a.usefulness === "HIGH" ? -1 : 1;
-  });
+  // Sort so HIGH always come before MODERATE, most confident first within a tier
+  out.sort(compareClasses);
+  return mergeClusters(out, clusterMembers(knowledge));
+}
+
+// ---- Near-duplicate clusters (cluster.js → item.clusterId): members newest first
+function clusterMembers(knowledge) {
+  const members = new Map();
+  for (const it of knowledge.items || []) {
+    if (!it?.clusterId) continue;
+    if (!members.has(it.clusterId)) members.set(it.clusterId, []);
+    members.get(it.clusterId).push(it);
+  }
+  const time = (it) => parseIsoDate(it.publishedAt || it.createdAt || it.ingestedAt)?.getTime() ?? 0;
+  for (const list of members.values()) list.sort((a, b) => time(b) - time(a));
+  return members;
+}
+
+// One card per cluster and project: the best-ranked entry stays (entries arrive sorted),
+// the other members of its cluster become "also covered by" links
+function mergeClusters(entries, members) {
+  const seen = new Set();
+  const out = [];
+  for (const entry of entries) {
+    if (!entry.clusterId) {
+      out.push(entry);
+      continue;
+    }
+    const key = `${entry.project}:${entry.clusterId}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const alsoCoveredBy = (members.get(entry.clusterId) || [])
+      .filter((m) => m.id !== entry.id && m.url)
+      .slice(0, MAX_ALSO_COVERED)
+      .map((m) => ({ title: m.title || "(untitled)", url: m.url, sourceType: m.sourceType || null }));
+    out.push(alsoCoveredBy.length ? { ...entry, alsoCoveredBy } : entry);
+  }
   return out;
 }
 
+// ---- Count recent classifications per project and tier (HIGH / MODERATE / ARCHIVE)
+function tierCounts(knowledge, cutoff) {
+  const counts = {};
+  for (const it of knowledge.items || []) {
+    for (const cls of Array.isArray(it.projects) ? it.projects : []) {
+      if (!isRecentClass(cls, cutoff)) continue;
+      if (!["HIGH", "MODERATE", "ARCHIVE"].includes(cls.usefulness)) continue;
+      const project = cls.project || "General";
+      counts[project] = counts[project] || { HIGH: 0, MODERATE: 0, ARCHIVE: 0 };
+      counts[project][cls.usefulness] += 1;
+    }
+  }
+  return counts;
+}
+
 // ---- Aggregate token usage from knowledge.json (combined totals per model)
 function aggregateUsage(entries, knowledge) {
   const totals = {};
@@ -144,7 +212,7 @@ function renderUsageText(usage) {
   return lines.length ? `\n\nToken Usage:\n${lines.join("\n")}` : "";
 }
 
-function renderProjectOverview(entries) {
+function renderProjectOverview(entries, counts = {}) {
   if (!entries.length) {
     return `
       <div class="project-news">
@@ -174,13 +242,14 @@ function renderProjectOverview(entries) {
   }
 
   let html = `<div class="project-news"><h2 class="project-news-header">News You Can Use</h2>`;
-  for (const [project, counts] of Object.entries(grouped)) {
+  for (const [project, tally] of Object.entries(grouped)) {
     const summary = summaries[project] ?? "";
-    const high = counts.HIGH;
-    const mod = counts.MODERATE;
+    const high = tally.HIGH;
+    const mod = tally.MODERATE;
+    const archived = counts[project]?.ARCHIVE ?? 0;
     html += `
       <div class="project-block">
-        <p class="project-line">${project} — <span class="project-counts">${high} Highly Useful and ${mod} Moderately Useful things.</span></p>
+        <p class="project-line">${project} — <span class="project-counts">${high} Highly Useful and ${mod} Moderately Useful things${archived ? ` (${archived} archived)` : ""}.</span></p>
         ${summary ? `<p class="project-summary">${summary}</p>` : ""}
       </div>`;
   }
@@ -188,14 +257,41 @@ function renderProjectOverview(entries) {
   return html;
 }
 
-function renderHtml(date, items, usage, changelog = []) {
+// Video key moments (enrich → enrichment.key_moments) as deep links into the video
+function renderKeyMomentsHtml(moments = []) {
+  if (!moments.length) return "";
+  const links = moments
+    .map((m) => `<li><a href="${escapeHtml(m.url)}">${escapeHtml(m.time)}</a> ${escapeHtml(m.label)}</li>`)
+    .join("");
+  return `<p class="meta"><em>Key moments:</em></p><ul class="moments">${links}</ul>`;
+}
+
+function renderKeyMomentsText(moments = []) {
+  if (!moments.length) return "";
+  return `\n  Key moments:\n${moments.map((m) => `    ${m.time} ${m.label} (${m.url})`).join("\n")}`;
+}
+
+function renderAlsoCoveredHtml(links = []) {
+  if (!links.length) return "";
+  const html = links
+    .map((l) => `<a href="${escapeHtml(l.url)}">${escapeHtml(l.title)}</a>${l.sourceType ? ` (${escapeHtml(l.sourceType)})` : ""}`)
+    .join(", ");
+  return `<p class="meta also"><em>Also covered by:</em> ${html}</p>`;
+}
+
+function renderAlsoCoveredText(links = []) {
+  if (!links.length) return "";
+  return `\n  Also covered by:\n${links.map((l) => `    ${l.title} (${l.url})`).join("\n")}`;
+}
+
+function renderHtml(date, items, usage, changelog = [], counts = {}) {
   const grouped = {};
   for (const it of items) {
     if (!grouped[it.project]) grouped[it.project] = { HIGH: [], MODERATE: [] };
     grouped[it.project][it.usefulness].push(it);
   }
 
-  const projectOverview = renderProjectOverview(items);
+  const projectOverview = renderProjectOverview(items, counts);
 
   const sections = Object.entries(grouped).map(([project, groups]) => {
     const highCards = groups.HIGH.map((it) => `
@@ -204,6 +300,8 @@ function renderHtml(date, items, usage, changelog = []) {
         ${it.summary ? `<p class="text">${escapeHtml(it.summary)}</p>` : ""}
         ${it.reason ? `<p class="meta"><em>Why it matters:</em> <span>${escapeHtml(it.reason)}</span></p>` : ""}
         ${it.nextSteps ? `<p class="meta"><em>Next steps:</em> <span>${escapeHtml(it.nextSteps)}</span></p>` : ""}
+        ${renderKeyMomentsHtml(it.keyMoments)}
+        ${renderAlsoCoveredHtml(it.alsoCoveredBy)}
         <p class="published">Published: ${escapeHtml(it.publishedAt || date)}</p>
         ${it.url ? `<a href="${escapeHtml(it.url)}">Go to source</a>` : ""}
       </div>`).join("\n");
@@ -214,6 +312,8 @@ function renderHtml(date, items, usage, changelog = []) {
         ${it.summary ? `<p class="text">${escapeHtml(it.summary)}</p>` : ""}
         ${it.reason ? `<p class="meta"><em>Why it matters:</em> <span>${escapeHtml(it.reason)}</span></p>` : ""}
         ${it.nextSteps ? `<p class="meta"><em>Next steps:</em> <span>${escapeHtml(it.nextSteps)}</span></p>` : ""}
+        ${renderKeyMomentsHtml(it.keyMoments)}
+        ${renderAlsoCoveredHtml(it.alsoCoveredBy)}
         <p class="published">Published: ${escapeHtml(it.publishedAt || date)}</p>
         ${it.url ? `<a href="${escapeHtml(it.url)}">Go to source</a>` : ""}
       </div>`).join("\n");
@@ -267,6 +367,8 @@ function renderHtml(date, items, usage, changelog = []) {
     .digest-card p.title { margin: 0 0 6px; font-size: 13px; font-weight: 500; color: #222; }
     .digest-card p.text { margin: 0 0 8px; font-size: 14px; line-height: 1.5; color: #333; }
     .digest-card p.meta { margin: 0 0 4px; font-size: 14px; }
+    .digest-card ul.moments { margin: 0 0 6px 18px; padding: 0; font-size: 13px; }
+    .digest-card p.also, .digest-card p.also a { font-size: 13px; }
     .digest-card.high p.meta em, .digest-card.high p.meta span { color: #1b6f5a; }
     .digest-card.moderate p.meta em, .digest-card.moderate p.meta span { color: #553c9a; }
     .digest-card p.published { margin: 0 0 6px; font-size: 11px; color: #555; }
@@ -318,10 +420,10 @@ function renderText(date, items, usage, changelog = []) {
   } else {
     body = `Daily Digest – ${date}\n\n${items.map(it => `- ${it.title}
   URL: ${it.url}
-  Usefulness: ${it.usefulness}
+  Usefulness: ${it.usefulness}${it.confidence != null ? ` (confidence ${it.confidence.toFixed(2)})` : ""}
   Why: ${it.reason}
   Next steps: ${it.nextSteps}
-  Summary: ${it.summary}`).join("\n\n")}`;
+  Summary: ${it.summary}${renderKeyMomentsText(it.keyMoments)}${renderAlsoCoveredText(it.alsoCoveredBy)}`).join("\n\n")}`;
   }
 
   const usageText = renderUsageText(usage);
@@ -333,8 +435,8 @@ function renderText(date, items, usage, changelog = []) {
   return `${body}${usageText}${changelogText}`;
 }
 
-function renderJson(date, items, usage) {
-  return { date, count: items.length, items, usage };
+function renderJson(date, items, usage, counts = {}) {
+  return { date, count: items.length, counts, items, usage };
 }
 
 function escapeHtml(s) {
@@ -343,19 +445,31 @@ function escapeHtml(s) {
 
 // ---- Email (Brevo)
 async function sendBrevoEmail({ subject, textContent, htmlContent, recipients }) {
+  const payload = {
+    sender: { name: BREVO_FROM_NAME, email: BREVO_FROM_EMAIL },
+    to: recipients.map((email) => ({ email })),
+    subject,
+    textContent,
+    htmlContent
+  };
+  if (DRY_RUN) {
+    // Keep the would-be request for inspection instead of sending it
+    const file = path.join(DRY_RUN_OUTBOX, "email", `${safeFilenameDate()}.json`);
+    await saveJsonCheckpoint(file, payload);
+    log("Dry-run: digest email written", { file, recipients: recipients.length });
+    return;
+  }
   try {
-    const res = await fetch("https://api.brevo.com/v3/smtp/email", {
-      method: "POST",
-      headers: { "Content-Type": "application/json", "api-key": BREVO_API_KEY },
-      body: JSON.stringify({
-        sender: { name: BREVO_FROM_NAME, email: BREVO_FROM_EMAIL },
-        to: recipients.map((email) => ({ email })),
-        subject,
-        textContent,
-        htmlContent
-      })
-    });
-    if (!res.ok) throw new Error(`Brevo error: ${res.status} ${await res.text()}`);
+    await fetchWithRetry(
+      "https://api.brevo.com/v3/smtp/email",
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "api-key": BREVO_API_KEY },
+        body: JSON.stringify(payload)
+      },
+      // Not idempotent: a retry after Brevo received the request could send the digest twice
+      { label: "Brevo send", idempotent: false }
+    );
     log("Digest email sent", { recipients: recipients.length });
   } catch (err) {
     log("Failed to send Brevo email", { error: err.message });
@@ -363,7 +477,9 @@ async function sendBrevoEmail({ subject, textContent, htmlContent, recipients })
 }
 
 export async function digest() {
-  const knowledge = await loadJson(KNOWLEDGE_FILE, { items: [] });
+  const store = await openKnowledgeStore();
+  const knowledge = await store.snapshot();
+  await store.close();
   const state = await loadJson(DIGEST_STATE_FILE, {});
   const now = new Date();
   const windowStart = new Date(now.getTime() - DIGEST_WINDOW_HOURS * 60 * 60 * 1000);
@@ -371,6 +487,7 @@ export async function digest() {
   const cutoff = lastDigest && lastDigest > windowStart ? lastDigest : windowStart;
   const entries = buildUsefulEntries(knowledge, cutoff);
   const usage = aggregateUsage(entries, knowledge);
+  const counts = tierCounts(knowledge, cutoff);
   const changelog = knowledge.changelog || [];
   const date = todayIsoDate();
   const stamp = safeFilenameDate();
@@ -380,9 +497,9 @@ export async function digest() {
   const latestDir = path.join(DIGEST_DIR, "latest");
   await ensureDir(runDir); await ensureDir(dailyDir); await ensureDir(latestDir);
 
-  const html = renderHtml(date, entries, usage, changelog);
+  const html = renderHtml(date, entries, usage, changelog, counts);
   const txt = renderText(date, entries, usage, changelog);
-  const json = renderJson(date, entries, usage);
+  const json = renderJson(date, entries, usage, counts);
 
   const files = {
     html: path.join(runDir, "digest.html"),
@@ -412,14 +529,15 @@ export async function digest() {
     count: entries.length,
     high: highCount,
     moderate: modCount,
+    archived: Object.values(counts).reduce((n, c) => n + c.ARCHIVE, 0),
     usage,
     changelog,
     cutoff: cutoff.toISOString()
   });
 
-  if (BREVO_API_KEY) {
+  if (BREVO_API_KEY || DRY_RUN) {
     const recipients = BREVO_TO.split(/[,;\s]+/).filter(Boolean);
-    if (recipients.length) {
+    if (recipients.length || DRY_RUN) {
       const subject = entries.length
         ? `Daily Digest – ${highCount} HIGH + ${modCount} MODERATE`
         : `Daily Digest – No actionable items today`;
@@ -0,0 +1,84 @@
+// scripts/embed.js
+// Semantic search index: one embedding per enriched item in data/embeddings/search.json
+// (lib/embeddings.js: same provider chain and cache format as clustering).
+//  - Document text: title, summary, fullSummary, keywords, topics and entity names, clamped to
+//    SEARCH_DOC_MAX_CHARS (default 6000) so it fits embedding model input limits
+//  - Incremental: an item is re-embedded only when its document text changes; items that left
+//    the store drop out of the index
+//  - Local only: the index is not pushed to the knowledgebase repo (CI keeps data/embeddings/ in the
+//    Actions cache between scheduled runs, so those only embed what changed)
+// Run as a pipeline stage after enrich, standalone (`node scripts/embed.js`), or implicitly by
+// `npm run search`, which refreshes the index before querying.
+
+import { openKnowledgeStore } from "./lib/knowledge-store.js";
+import { embedDocuments } from "./lib/embeddings.js";
+
+export const SEARCH_COLLECTION = "search";
+const DOC_MAX_CHARS = Number(process.env.SEARCH_DOC_MAX_CHARS ?? 6000);
+
+// ---------- Logging ----------
+function log(msg, ctx = {}) {
+  const ts = new Date().toISOString();
+  console.log(`[${ts}] ${msg}`, Object.keys(ctx).length ? ctx : "");
+}
+
+// ---------- Helpers ----------
+function names(list) {
+  return Array.isArray(list) ? list.filter((x) => typeof x === "string" && x.trim()) : [];
+}
+
+export function searchText(item) {
+  const e = item.enrichment || {};
+  const entities = Object.values(e.entities || {}).flatMap(names);
+  const parts = [
+    item.title,
+    item.summary,
+    names(e.keywords).length ? `Keywords: ${names(e.keywords).join(", ")}` : "",
+    names(e.topics).length ? `Topics: ${names(e.topics).join(", ")}` : "",
+    entities.length ? `Mentions: ${entities.join(", ")}` : "",
+    item.fullSummary,
+  ];
+  return parts.filter(Boolean).join("\n").slice(0, DOC_MAX_CHARS);
+}
+
+function isEnriched(item) {
+  return Boolean(item?.id && (item.summary || item.fullSummary));
+}
+
+/**
+ * Bring the search index up to date with the knowledge store.
+ * @param {object} [options]
+ * @param {function} [options.log]
+ * @returns {Promise<{ items: object[], vectors: Map<string, number[]>, entry: object, model: string, embedded: number }>}
+ */
+export async function updateSearchIndex({ log: logFn = log } = {}) {
+  const store = await openKnowledgeStore();
+  const items = [];
+  try {
+    for await (const it of store.iterate({ where: isEnriched })) items.push(it);
+  } finally {
+    await store.close();
+  }
+
+  const result = await embedDocuments(
+    SEARCH_COLLECTION,
+    items.map((it) => ({ id: String(it.id), text: searchText(it) })),
+    { log: logFn }
+  );
+  return { items, ...result };
+}
+
+// ---------- Main ----------
+export async function embed() {
+  const { items, model, embedded } = await updateSearchIndex();
+  log("Embed step complete", { items: items.length, model, embedded });
+  return { items: items.length, embedded };
+}
+
+// ---------- Entrypoint ----------
+if (import.meta.url === `file://${process.argv[1]}`) {
+  embed().catch((err) => {
+    console.error("Embed step failed", err);
+    process.exitCode = 1;
+  });
+}
@@ -1,33 +1,61 @@
 // scripts/enrich.js
 // Enrichment flow focused on high-quality, classification-ready outputs.
-// Provider priority per item: Gemini (direct) → OpenRouter (guardrailed) → DeepSeek (guardrailed).
+// Providers come from the "enrich" chain in config/models.json (see lib/llm-router.js).
 // YouTube: transcript → rich JSON (fullSummary + summary + enrichment).
-// Saves incrementally after each item. Fail-fast after N consecutive full failures.
+// Items run ENRICH_CONCURRENCY at a time (default 3); provider pacing comes from the router's
+// per-provider rate limits. Saves incrementally after each item (persistence is serialized).
+// Fail-fast after N consecutive full failures (counted in completion order).
+// Stops cleanly (no fail-fast) when the rolling spend budget is exhausted; returns { budgetExhausted }.
 // Idempotent: if knowledge.json already has good enrichment, skip even if cache is empty.
+// Exception: a video enriched without a transcript within the marker retry window (see
+// lib/youtube-transcripts.js) is re-enriched as soon as its transcript turns up.
 // Transcript handling:
 //   - Cache transcripts under data/transcripts/<videoId>.txt
 //   - If file has text → reuse (no re-fetch)
-//   - If file is empty → treat as "no transcript available" marker; do not re-fetch
+//   - If file is empty → treat as "no transcript available" marker; re-fetched only when the marker
+//     expires (TRANSCRIPT_RETRY_HOURS)
 //   - Only include transcript in prompt if it has non-empty text
-//   - Push transcript files to KB repo via pushUpdate()
+//   - Push transcript files to KB repo via pushUpdate() (batched with knowledge.json)
+// Articles (non-video items with a URL and at most a short description): the page's readable text is
+// extracted and cached under data/articles/ (lib/article-text.js) and used like a transcript.
+// Videos with caption timing: the transcript is sent as "[m:ss] text" lines and the reply adds
+// enrichment.key_moments, stored as [{ start, time, label, url }] with &t=<s>s deep links.
+// Language: item.language is the content's original language (ISO 639-1) — the transcript track's
+// language when known, else the model's detection. Non-English content is summarized straight into
+// English (map/merge notes included).
+// Long content (transcript or description over ENRICH_SINGLE_PASS_TOKENS) is first condensed by
+// map-reduce in lib/chunked-summary.js; the section notes then go through the usual JSON prompt.
 
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 
-import { callWithRotation } from "./lib/openrouter.js";
-import { callGemini } from "./lib/gemini.js";
-// import { callOpenAI } from "./lib/openai.js"; // ⛔ disabled
-import { callDeepSeek } from "./lib/deepseek.js";
-import { safeCall } from "./lib/guardrails.js";
-import { loadJson, saveJsonCheckpoint } from "./lib/utils.js";
-import { logStageUsage, estimateTokensFromText } from "./lib/token-usage.js";
-import { syncKnowledge } from "./lib/kb-sync.js";
-import { extractYouTubeVideoId, ensureTranscript } from "./lib/youtube-transcripts.js";
+import { callLLM } from "./lib/llm-router.js";
+import { runPool, createSerialQueue } from "./lib/scheduler.js";
+import { loadJson, saveJsonCheckpoint, parseStrictJSON } from "./lib/utils.js";
+import { openKnowledgeStore } from "./lib/knowledge-store.js";
+import { DATA_DIR } from "./lib/paths.js";
+import { logStageUsage } from "./lib/token-usage.js";
+import { syncKnowledge, flushPending } from "./lib/kb-sync.js";
+import {
+  extractYouTubeVideoId,
+  ensureTranscript,
+  readCachedTranscript,
+  markerDue,
+  timestampedTranscript,
+  parseTimestamp,
+  formatTimestamp,
+  youTubeDeepLink,
+  baseLanguage,
+  languageName,
+  TRANSCRIPT_RETRY_WINDOW_MS
+} from "./lib/youtube-transcripts.js";
+import { ensureArticleText } from "./lib/article-text.js";
+import { needsChunking, condenseLongContent, clearChunkCache } from "./lib/chunked-summary.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.resolve(__dirname, "..");
-const KNOWLEDGE_FILE = path.join(ROOT, "data", "knowledge.json");
-const STATE_FILE = path.join(ROOT, "data/cache/enrich-state.json");
+const STATE_FILE = path.join(DATA_DIR, "cache", "enrich-state.json");
+const CONCURRENCY = Number(process.env.ENRICH_CONCURRENCY ?? 3);
 
 // ---------- Logging ----------
 function log(msg, ctx = {}) {
@@ -36,10 +64,6 @@ function log(msg, ctx = {}) {
 }
 
 // ---------- Helpers ----------
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
-
 function clamp(text, maxChars = 12000) {
   if (!text || text.length <= maxChars) return text;
   const head = text.slice(0, Math.floor(maxChars * 0.7));
@@ -47,13 +71,31 @@ function clamp(text, maxChars = 12000) {
   return `${head}\n...\n${tail}`;
 }
 
-function buildPromptJSON({ item, transcript }) {
+// Bookmark highlights as a quoted list, bounded so they never crowd out the content
+function renderHighlights(list, maxChars = 3000) {
+  if (!Array.isArray(list) || !list.length) return "";
+  const lines = [];
+  let used = 0;
+  for (const h of list) {
+    const line = `- "${String(h.text).replace(/\s+/g, " ").trim()}"${h.note ? ` (note: ${h.note})` : ""}`;
+    if (used + line.length > maxChars) break;
+    lines.push(line);
+    used += line.length;
+  }
+  return lines.join("\n");
+}
+
+// Feed/bookmark descriptions this short are teasers; the page itself is worth fetching
+const ARTICLE_MIN_DESCRIPTION_CHARS = 1500;
+
+function buildPromptJSON({ item, transcript, timed = false, article, condensed, language = null }) {
   const base = [
     "You are an expert analyst enriching items for a knowledgebase.",
     "Return STRICT JSON ONLY (no Markdown), matching exactly this schema:",
 `{
   "full_summary": "250-400 word neutral, specific summary capturing main ideas, methods, results, caveats, with concrete details.",
   "summary": "2-3 sentence concise blurb for a daily digest (40-80 words).",
+  "language": "ISO 639-1 code of the content's original language, e.g. en, es, de, hi",
   "enrichment": {
     "bullet_points": ["3-6 terse, factual bullets"],
     "keywords": ["5-12 domain terms"],
@@ -62,7 +104,8 @@ function buildPromptJSON({ item, transcript }) {
       "tech": [], "standards": []
     },
     "topics": ["2-6 broader topics"],
-    "links": []
+    "links": []${timed ? `,
+    "key_moments": [{ "t": "m:ss timestamp copied from the content", "label": "what is covered there (5-12 words)" }]` : ""}
   }
 }`,
     "Rules:",
@@ -70,15 +113,32 @@ function buildPromptJSON({ item, transcript }) {
     "- No requests for more info.",
     "- Cite concrete details from the provided content.",
     "- Keep it neutral and project-agnostic.",
+    "- Write every field in English, whatever the language of the content.",
+    ...(language ? [`- The content is in ${language}: translate while summarizing; keep names and quoted terms as written.`] : []),
+    ...(timed ? ["- key_moments: 3-8 entries in video order, using only [m:ss] timestamps present in the content."] : []),
     "",
     `Title: ${item.title ?? "(untitled)"}`,
     `URL: ${item.url ?? "(no url)"}`
   ];
 
-  if (transcript && transcript.trim().length > 0) {
-    base.push("", "Content (transcript, possibly truncated):", clamp(transcript));
+  // Bookmark context written by the person who saved it
+  if (item.note) base.push(`Bookmark note: ${item.note}`);
+  if (Array.isArray(item.tags) && item.tags.length) base.push(`Tags: ${item.tags.join(", ")}`);
+  if (article && item.description) base.push(`Excerpt: ${clamp(item.description, 1000)}`);
+  const highlights = renderHighlights(item.highlights);
+  if (highlights) {
+    base.push("", "Highlights (passages the person who saved this marked as key; weigh them heavily):", highlights);
+  }
+
+  if (condensed) {
+    base.push("", `Content (notes condensed from the full ${condensed.kind}, in order):`, condensed.notes);
+  } else if (transcript && transcript.trim().length > 0) {
+    const label = timed ? "transcript with [m:ss] timestamps" : "transcript";
+    base.push("", `Content (${label}, possibly truncated):`, clamp(transcript));
+  } else if (article) {
+    base.push("", "Content (article text extracted from the page):", clamp(article));
   } else if (item.description) {
-    base.push("", "Content (description):", clamp(item.description, 6000));
+    base.push("", "Content (description):", clamp(item.description));
   } else {
     base.push("", "Content: Only title and URL are available. Infer cautiously.");
   }
@@ -86,6 +146,40 @@ function buildPromptJSON({ item, transcript }) {
   return base.join("\n");
 }
 
+// Model-proposed key moments → [{ start, time, label, url }], kept within the video and in order
+function normalizeKeyMoments(list, { videoId, segments }) {
+  if (!Array.isArray(list) || !videoId || !segments?.length) return [];
+  const last = segments[segments.length - 1];
+  const end = last.start + (last.dur || 0) + 5;
+  const seen = new Set();
+  return list
+    .map((m) => ({ start: parseTimestamp(m?.t ?? m?.time ?? m?.start), label: String(m?.label ?? "").trim() }))
+    .filter((m) => m.start !== null && m.start <= end && m.label && !seen.has(m.start) && seen.add(m.start))
+    .sort((a, b) => a.start - b.start)
+    .map((m) => ({ ...m, time: formatTimestamp(m.start), url: youTubeDeepLink(videoId, m.start) }));
+}
+
+// Enriched from title/description only: re-check while captions may still appear. The marker's
+// retry schedule decides; without a marker (fetch deferred or failed transiently) only recently
+// enriched items are re-checked
+async function transcriptArrived(item) {
+  const videoId = extractYouTubeVideoId(item);
+  if (!videoId || item.enrichment?.transcript_used !== false) return false;
+  try {
+    const cached = await readCachedTranscript(videoId);
+    if (cached.text) return true;
+    if (cached.emptyMarker) {
+      if (!markerDue(cached.marker)) return false;
+    } else {
+      const enrichedAt = Date.parse(item.usage?.enrich?.ts ?? "");
+      if (!(Date.now() - enrichedAt <= TRANSCRIPT_RETRY_WINDOW_MS)) return false;
+    }
+    return Boolean((await ensureTranscript(videoId)).text);
+  } catch {
+    return false;
+  }
+}
+
 function looksBad(txt = "") {
   const s = String(txt).toLowerCase();
   if (s.length < 80) return true;
@@ -95,14 +189,17 @@ function looksBad(txt = "") {
 
 // ---------- Main enrichment ----------
 export async function enrich(options = {}) {
-  const knowledge = await loadJson(KNOWLEDGE_FILE, { items: [] });
+  const store = await openKnowledgeStore();
   const state = await loadJson(STATE_FILE, { processed: [] });
 
   const maxConsecutiveFails = Number(options?.failFast?.maxConsecutiveFails ?? 5);
   let consecutiveFails = 0;
   let processedCount = 0;
+  let budgetExhausted = false;
+  let failFastError = null;
+  const persist = createSerialQueue(); // one store/state write at a time
 
-  for (const item of knowledge.items) {
+  await runPool(store.iterate(), async (item) => {
     // Knowledge-first idempotent skip
     const alreadyEnriched =
       item?.fullSummary &&
@@ -110,12 +207,15 @@ export async function enrich(options = {}) {
       item?.enrichment &&
       !looksBad(item.fullSummary);
 
-    if (alreadyEnriched || state.processed.includes(item.id)) {
+    const reenrich = (alreadyEnriched || state.processed.includes(item.id)) && (await transcriptArrived(item));
+    if (reenrich) {
+      log("Transcript now available; re-enriching", { id: item.id });
+    } else if (alreadyEnriched || state.processed.includes(item.id)) {
       if (!state.processed.includes(item.id)) {
         state.processed.push(item.id);
-        await saveJsonCheckpoint(STATE_FILE, state);
+        await persist(() => saveJsonCheckpoint(STATE_FILE, state));
       }
-      continue;
+      return;
     }
 
     let fullyFailed = false;
@@ -124,6 +224,8 @@ export async function enrich(options = {}) {
       // Resolve (and cache) transcript if this is a YouTube video
       const videoId = extractYouTubeVideoId(item);
       let transcript = null;
+      let segments = null;
+      let transcriptLang = null;
 
       if (videoId) {
         try {
@@ -140,6 +242,8 @@ export async function enrich(options = {}) {
               videoId,
             });
             transcript = result.text;
+            segments = result.segments ?? null;
+            transcriptLang = baseLanguage(result.lang);
           } else {
             log("Transcript step completed without text", { id: item.id, videoId, status: result.status });
             transcript = null;
@@ -151,53 +255,48 @@ export async function enrich(options = {}) {
         }
       }
 
-      const prompt = buildPromptJSON({ item, transcript });
-
-      // Priority chain: Gemini → OpenRouter (guardrailed) → DeepSeek (guardrailed)
-      let text = "";
-      let model = "";
-      let provider = ""; // <-- NEW: capture provider explicitly
-      let rawUsage = null;
-
-      try {
-        const r = await callGemini(prompt);
-        text = r.text;
-        model = r.model;
-        provider = "gemini";
-        rawUsage = { total_tokens: r.tokens ?? 0, provider };
-        log("Used Gemini for enrichment", { id: item.id, model });
-      } catch (e1) {
-        log("Gemini failed; fallback to OpenRouter", { id: item.id, error: e1.message });
+      // Articles: readable page text when the item only carries a teaser (or nothing)
+      let article = null;
+      if (!videoId && item.url && String(item.description ?? "").length < ARTICLE_MIN_DESCRIPTION_CHARS) {
         try {
-          const r = await safeCall({
-            provider: "openrouter",
-            model: "rotation",
-            fn: () => callWithRotation(prompt, "enrich"),
-            estCost: 1
-          });
-          if (!r) throw new Error("OpenRouter skipped (cap reached)");
-          text = r.text;
-          model = r.model;
-          provider = r.provider || "openrouter";
-          rawUsage = { ...r.rawUsage, provider };
-          log("Used OpenRouter for enrichment", { id: item.id, model, provider });
-        } catch (e3) {
-          log("OpenRouter failed; fallback to DeepSeek", { id: item.id, error: e3.message });
-          const r = await safeCall({
-            provider: "deepseek",
-            model: "deepseek-chat",
-            fn: () => callDeepSeek(prompt),
-            estCost: 0.01
-          });
-          if (!r) throw new Error("DeepSeek skipped (cap reached)");
-          text = r.text;
-          model = r.model;
-          provider = "deepseek";
-          rawUsage = r.rawUsage ? { ...r.rawUsage, provider } : { provider };
-          log("Used DeepSeek direct for enrichment", { id: item.id, model });
+          const result = await ensureArticleText(item.url);
+          if (result.text) {
+            log(result.updated ? "Extracted and cached article text" : "Using cached article text", {
+              id: item.id,
+              chars: result.text.length,
+            });
+            article = result.text;
+          } else if (result.emptyMarker) {
+            log(result.updated ? "No readable article text; wrote empty marker" : "Article marker found (no text)", {
+              id: item.id,
+            });
+          }
+        } catch (e) {
+          // Same as transcripts: enrichment proceeds from whatever the item already has
+          log("Article extraction failed; proceeding without it", { id: item.id, error: e.message });
         }
       }
 
+      // Long transcripts/articles: summarize chunk by chunk first instead of clamping
+      const hasTranscript = Boolean(transcript && transcript.trim().length > 0);
+      const timed = Boolean(hasTranscript && segments?.length);
+      const foreign = transcriptLang && transcriptLang !== "en" ? languageName(transcriptLang) : null;
+      if (timed) transcript = timestampedTranscript(segments);
+      const longText = hasTranscript ? transcript : article || item.description;
+      let condensed = null;
+      if (longText && needsChunking(longText)) {
+        const kind = hasTranscript ? "transcript" : "article";
+        condensed = {
+          kind,
+          ...(await condenseLongContent({ item, text: longText, kind, language: foreign, log }))
+        };
+      }
+
+      // Condensed notes are already in English
+      const prompt = buildPromptJSON({ item, transcript, timed, article, condensed, language: condensed ? null : foreign });
+
+      const { text, model, provider, usage } = await callLLM("enrich", prompt, { log, ctx: { id: item.id } });
+
       const parsed = parseStrictJSON(text);
 
       const fullSummary =
@@ -218,6 +317,8 @@ export async function enrich(options = {}) {
       } else {
         // Persist enrichment back onto item
         item.fullSummary = fullSummary;
+        const language = (hasTranscript && transcriptLang) || baseLanguage(parsed?.language);
+        if (language) item.language = language;
         if (shortSummary && !looksBad(shortSummary)) {
           item.summary = shortSummary;
         } else {
@@ -233,14 +334,21 @@ export async function enrich(options = {}) {
           },
           topics: parsed?.enrichment?.topics ?? [],
           links: parsed?.enrichment?.links ?? [],
-          transcript_used: Boolean(transcript && transcript.trim().length > 0),
+          ...(timed
+            ? { key_moments: normalizeKeyMoments(parsed?.enrichment?.key_moments, { videoId, segments }) }
+            : {}),
+          transcript_used: hasTranscript,
+          article_text_used: Boolean(article),
+          ...(condensed ? { chunks_summarized: condensed.chunks } : {}),
           model_used: model
         };
 
-        // --- NEW: per-item token usage in knowledge.json
-        const inputTokens = rawUsage?.prompt_tokens ?? estimateTokensFromText(prompt);
-        const outputTokens = rawUsage?.completion_tokens ?? estimateTokensFromText(text);
-        const totalTokens = rawUsage?.total_tokens ?? (inputTokens + outputTokens);
+        // --- NEW: per-item token usage in knowledge.json (chunk calls of this run included)
+        const allUsage = [usage, ...(condensed?.calls ?? []).map((c) => c.usage)];
+        const sum = (key) => allUsage.reduce((n, u) => n + (u[key] ?? 0), 0);
+        const inputTokens = sum("prompt_tokens");
+        const outputTokens = sum("completion_tokens");
+        const totalTokens = sum("total_tokens");
 
         item.usage = item.usage || {};
         item.usage.enrich = {
@@ -249,18 +357,22 @@ export async function enrich(options = {}) {
           inputTokens,
           outputTokens,
           totalTokens,
+          costUsd: sum("costUsd"),
+          ...(condensed ? { calls: allUsage.length } : {}),
           ts: new Date().toISOString()
         };
 
         // NOTE: we intentionally do NOT store transcript text in knowledge.json to keep it slim.
         // The transcript (if any) is persisted as a file under data/transcripts and pushed to KB.
 
-        state.processed.push(item.id);
-        await saveJsonCheckpoint(KNOWLEDGE_FILE, knowledge);  // never truncates; updates existing
-        await saveJsonCheckpoint(STATE_FILE, state);
-
-        await syncKnowledge(); // push knowledge.json & state changes
-        await logStageUsage("enrich", model, prompt, text, item.id, { ...rawUsage, provider });
+        if (!state.processed.includes(item.id)) state.processed.push(item.id); // re-enriched items are already in
+        await persist(async () => {
+          await store.upsert(item);  // never truncates; updates existing
+          await saveJsonCheckpoint(STATE_FILE, state);
+          await syncKnowledge(); // push knowledge.json & state changes
+        });
+        await logStageUsage("enrich", model, prompt, text, item.id, usage);
+        if (condensed) await clearChunkCache(item.id);
 
         processedCount++;
         consecutiveFails = 0;
@@ -269,46 +381,54 @@ export async function enrich(options = {}) {
           model,
           provider,
           yt: Boolean(videoId),
-          transcript_used: Boolean(transcript && transcript.trim().length > 0),
+          transcript_used: hasTranscript,
+          language: item.language ?? null,
+          chunks: condensed?.chunks ?? 0,
           tokens: totalTokens
         });
-
-        await sleep(5000); // throttle
       }
     } catch (err) {
+      if (err.budgetExhausted) {
+        budgetExhausted = true;
+        log("Budget exhausted; stopping enrichment", { id: item.id, error: err.message });
+        return;
+      }
       fullyFailed = true;
       log("Failed to enrich item", { id: item.id, error: err.message });
     }
 
     if (fullyFailed) {
       consecutiveFails += 1;
-      if (consecutiveFails >= maxConsecutiveFails) {
-        throw new Error(
+      if (consecutiveFails >= maxConsecutiveFails && !failFastError) {
+        failFastError = new Error(
           `Fail-fast: ${consecutiveFails} consecutive items failed to enrich across all providers`
         );
       }
-      // Persist current files as-is (no truncation)
-      await saveJsonCheckpoint(KNOWLEDGE_FILE, knowledge);
-      await saveJsonCheckpoint(STATE_FILE, state);
+      // Persist state as-is (item untouched on failure)
+      await persist(() => saveJsonCheckpoint(STATE_FILE, state));
     }
+  }, {
+    concurrency: CONCURRENCY,
+    shouldStop: () => budgetExhausted || Boolean(failFastError)
+  });
+
+  if (failFastError) {
+    // In-flight items have settled; keep their results before failing the stage
+    await store.flush();
+    await store.close();
+    throw failFastError;
   }
 
+  const total = await store.count();
+  await store.flush();
+  await store.close();
+  await flushPending("Enrich update");
   log("Enrich step complete", {
-    total: knowledge.items.length,
-    processed: processedCount
+    total,
+    processed: processedCount,
+    budgetExhausted
   });
-}
-
-// Strict JSON extractor (grabs first {...} block)
-function parseStrictJSON(txt) {
-  try {
-    const start = txt.indexOf("{");
-    const end = txt.lastIndexOf("}");
-    if (start >= 0 && end >= start) {
-      return JSON.parse(txt.slice(start, end + 1));
-    }
-  } catch {}
-  return null;
+  return { processed: processedCount, budgetExhausted };
 }
 
 // ---------- Entrypoint ----------
@@ -1,36 +1,49 @@
 // scripts/ingest.js
-// Ingest Raindrop collections, YouTube playlists, YouTube channels
+// Ingest Raindrop collections, YouTube playlists, YouTube channels, RSS/Atom feeds
 // with incremental checkpointing + per-item upstream push to prevent data loss.
 //
 // Idempotency & Safety:
-//  - Strict dedupe on both ID and URL against knowledge.json (source of truth)
+//  - Strict dedupe on both ID and URL against the knowledge store (source of truth); URLs also
+//    match in canonical form (tracking params stripped, youtu.be/www/mobile hosts normalized,
+//    see lib/url-canonical.js), which items keep as `canonicalUrl` when it differs from `url`
 //  - Per-source seenIds persisted (state.json) to avoid refetch churn
 //  - Never truncates knowledge.json
 //  - Default 24h windows (unless overridden in sources.json)
 //  - Validate channel/playlist IDs before calling APIs
+//  - Resolve channel @handles / URLs to UC… IDs once (cached in state.json)
 //  - Respect maxPages=1 (or configured) to avoid quota blowups
 //
 // Sync behavior:
-//  - After each item append, save knowledge.json and push upstream immediately
+//  - After each item append, upsert into the knowledge store and queue knowledge.json for upstream push
+//  - Queued pushes are committed in batches and flushed at the end of the stage
 
 import fs from "node:fs/promises";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
-import fetch from "node-fetch";
+import { fetchJson } from "./lib/http.js";
 import { loadJson, saveJsonCheckpoint, ensureDir } from "./lib/utils.js";
-import { pushUpdate, pullKnowledge } from "./lib/kb-sync.js";
+import { openKnowledgeStore, KNOWLEDGE_FILE } from "./lib/knowledge-store.js";
+import { DATA_DIR } from "./lib/paths.js";
+import { DRY_RUN, withFixture } from "./lib/dry-run.js";
+import { pushUpdate, pullKnowledge, flushPending } from "./lib/kb-sync.js";
 import { extractYouTubeVideoId, ensureTranscript } from "./lib/youtube-transcripts.js";
+import { fetchFeedEntries } from "./lib/feeds.js";
+import { canonicalUrl } from "./lib/url-canonical.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.resolve(__dirname, "..");
-const DATA = path.join(ROOT, "data");
+const DATA = DATA_DIR;
 const CACHE_DIR = path.join(DATA, "cache");
 const STATE_FILE = path.join(CACHE_DIR, "state.json");
-const KNOWLEDGE_FILE = path.join(DATA, "knowledge.json");
 const CONFIG_FILE = path.join(ROOT, "config", "sources.json");
 
 const RAINDROP_TOKEN = process.env.RAINDROP_TOKEN;
 const YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY;
+// Unresolvable channel handles are looked up again after this many days
+const HANDLE_RETRY_DAYS = Number(process.env.YOUTUBE_HANDLE_RETRY_DAYS ?? 7);
+// In dry-run, API responses come from fixtures, so missing credentials don't disable sources
+const HAS_RAINDROP = Boolean(RAINDROP_TOKEN) || DRY_RUN;
+const HAS_YOUTUBE = Boolean(YOUTUBE_API_KEY) || DRY_RUN;
 
 function log(msg, ctx = {}) {
   const ts = new Date().toISOString();
@@ -55,22 +68,16 @@ function isWeeklyWindow(lastRunIso) {
   return Date.now() - last.getTime() >= oneWeek;
 }
 
-async function saveKnowledge(knowledge) {
-  await ensureDir(path.dirname(KNOWLEDGE_FILE));
-  await saveJsonCheckpoint(KNOWLEDGE_FILE, knowledge);
+async function saveKnowledge(store, item) {
+  await store.upsert(item);
   await pushUpdate(KNOWLEDGE_FILE, "knowledge.json", "Incremental ingest update");
 }
 
-async function loadKnowledge() {
-  const knowledge = await loadJson(KNOWLEDGE_FILE, { items: [] });
-  if (!Array.isArray(knowledge.items)) knowledge.items = [];
-  return knowledge;
-}
-
 async function loadState() {
   await ensureDir(CACHE_DIR);
   const state = await loadJson(STATE_FILE, { sources: {} });
   if (!state.sources) state.sources = {};
+  if (!state.youtubeHandles) state.youtubeHandles = {};
   return state;
 }
 
@@ -86,11 +93,13 @@ async function loadSourcesConfig() {
 
   const raindrop = cfg.raindrop || {};
   const youtube = cfg.youtube || {};
+  const feeds = Array.isArray(cfg.feeds) ? cfg.feeds : [];
 
   const out = {
     raindropCollections: [],
     youtubePlaylists: [],
     youtubeChannels: [],
+    feeds: [],
   };
 
   if (Array.isArray(raindrop.collections)) {
@@ -118,16 +127,31 @@ async function loadSourcesConfig() {
 
   if (Array.isArray(youtube.channels)) {
     for (const ch of youtube.channels) {
+      // A handle or channel URL wins over a hand-copied ID when both are given
+      const ref = ch.handle ?? ch.url ?? ch.channelId ?? ch.id;
       out.youtubeChannels.push({
-        id: ch.channelId ?? ch.id,
+        id: ref,
+        ref,
         mode: ch.mode ?? "daily",
         defaultWindow: Number(ch.defaultWindow ?? 1),
         maxPages: Number(ch.maxPages ?? 1), // single page by default
-        name: ch.name ?? ch.label ?? `yt-channel-${ch.channelId ?? ch.id}`,
+        name: ch.name ?? ch.label ?? `yt-channel-${ref}`,
       });
     }
   }
 
+  for (const f of feeds) {
+    const url = typeof f === "string" ? f : f.url;
+    if (!url) continue;
+    out.feeds.push({
+      url,
+      mode: f.mode ?? "daily",
+      defaultWindow: Number(f.defaultWindow ?? 1),
+      maxItems: Number(f.maxItems ?? 50),
+      name: f.name ?? f.label ?? `feed-${url}`,
+    });
+  }
+
   return out;
 }
 
@@ -186,22 +210,59 @@ function isValidChannelId(id) {
 function isValidPlaylistId(id) {
   return typeof id === "string" && id.startsWith("PL") && id.length >= 16;
 }
+function isValidFeedUrl(url) {
+  try {
+    const u = new URL(url);
+    return u.protocol === "http:" || u.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
 
 // Build in-memory indexes for fast, stable dedupe across runs
-function buildDedupeIndexes(knowledge) {
+async function buildDedupeIndexes(store) {
   const byId = new Set();
   const byUrl = new Set();
-  for (const it of knowledge.items) {
+  for await (const it of store.iterate()) {
     if (it?.id) byId.add(String(it.id));
-    if (it?.url) byUrl.add(String(it.url));
+    if (it?.url) {
+      byUrl.add(String(it.url));
+      const canonical = canonicalUrl(it.url);
+      if (canonical) byUrl.add(canonical);
+    }
   }
   return { byId, byUrl };
 }
 
+function rememberItem(indexes, item) {
+  if (item.id) indexes.byId.add(String(item.id));
+  if (item.url) {
+    indexes.byUrl.add(String(item.url));
+    const canonical = canonicalUrl(item.url);
+    if (canonical) indexes.byUrl.add(canonical);
+  }
+}
+
+// Only stored when it says something `url` does not
+function canonicalIfDifferent(url) {
+  const canonical = canonicalUrl(url);
+  return canonical && canonical !== url ? canonical : undefined;
+}
+
+// Raindrop highlights → [{ text, note? }] (color/ids dropped)
+function normalizeHighlights(list) {
+  if (!Array.isArray(list)) return undefined;
+  const out = list
+    .filter((h) => typeof h?.text === "string" && h.text.trim())
+    .map((h) => ({ text: h.text.trim(), ...(h.note?.trim() ? { note: h.note.trim() } : {}) }));
+  return out.length ? out : undefined;
+}
+
 function isDuplicate(indexes, item) {
   return (
     (item.id && indexes.byId.has(String(item.id))) ||
-    (item.url && indexes.byUrl.has(String(item.url)))
+    (item.url && indexes.byUrl.has(String(item.url))) ||
+    (item.url && indexes.byUrl.has(canonicalUrl(item.url)))
   );
 }
 
@@ -239,11 +300,13 @@ async function fetchRaindropCollectionItems(
   url.searchParams.set("page", String(page));
   url.searchParams.set("perpage", String(perPage));
 
-  const res = await fetch(url.toString(), {
-    headers: { Authorization: `Bearer ${RAINDROP_TOKEN}` },
-  });
-  if (!res.ok) throw new Error(`Raindrop fetch failed: ${res.status} ${await res.text()}`);
-  const json = await res.json();
+  const json = await withFixture("raindrop", { collectionId, page, perPage }, () =>
+    fetchJson(
+      url.toString(),
+      { headers: { Authorization: `Bearer ${RAINDROP_TOKEN}` } },
+      { label: "Raindrop fetch" }
+    )
+  );
   let items = Array.isArray(json.items) ? json.items : [];
   if (sinceDate) {
     const cut = sinceDate.getTime();
@@ -255,8 +318,8 @@ async function fetchRaindropCollectionItems(
   return { items, hasMore: items.length === perPage };
 }
 
-async function ingestRaindropCollection(source, knowledge, indexes, state) {
-  if (!RAINDROP_TOKEN) {
+async function ingestRaindropCollection(source, store, indexes, state) {
+  if (!HAS_RAINDROP) {
     log("RAINDROP_TOKEN missing; skipping raindrop collection", { collection: source.id });
     return;
   }
@@ -289,20 +352,25 @@ async function ingestRaindropCollection(source, knowledge, indexes, state) {
           id: `raindrop:${id}`,
           title: it.title || it.excerpt || "(untitled)",
           url: it.link || it.url || null,
+          canonicalUrl: canonicalIfDifferent(it.link || it.url),
           sourceType: "raindrop",
           collectionId: source.id,
+          description: it.excerpt || undefined,
+          note: it.note || undefined,
+          tags: Array.isArray(it.tags) && it.tags.length ? it.tags : undefined,
+          highlights: normalizeHighlights(it.highlights),
+          raindropType: it.type || undefined, // link | article | video | document | image | audio
+          cover: it.cover || undefined,
           createdAt: it.created || it.createdAt || null,
           ingestedAt: nowIso(),
         };
 
         await ensureTranscriptForItem(item);
 
-        // Strict dedupe against knowledge.json
+        // Strict dedupe against the knowledge store
         if (!isDuplicate(indexes, item)) {
-          knowledge.items.push(item);
-          if (item.id) indexes.byId.add(String(item.id));
-          if (item.url) indexes.byUrl.add(String(item.url));
-          await saveKnowledge(knowledge);
+          rememberItem(indexes, item);
+          await saveKnowledge(store, item);
           added++;
         }
 
@@ -335,13 +403,13 @@ async function fetchYouTubePlaylistItems(playlistId, pageToken = null) {
   url.searchParams.set("key", YOUTUBE_API_KEY);
   if (pageToken) url.searchParams.set("pageToken", pageToken);
 
-  const res = await fetch(url.toString());
-  if (!res.ok) throw new Error(`YouTube playlist fetch failed: ${res.status} ${await res.text()}`);
-  return res.json();
+  return withFixture("youtube-playlist", { playlistId, pageToken }, () =>
+    fetchJson(url.toString(), {}, { label: "YouTube playlist fetch" })
+  );
 }
 
-async function ingestYouTubePlaylist(source, knowledge, indexes, state) {
-  if (!YOUTUBE_API_KEY) return;
+async function ingestYouTubePlaylist(source, store, indexes, state) {
+  if (!HAS_YOUTUBE) return;
   if (!isValidPlaylistId(source.id)) {
     log("Invalid playlist ID; skipping", { id: source.id });
     return;
@@ -388,10 +456,8 @@ async function ingestYouTubePlaylist(source, knowledge, indexes, state) {
         await ensureTranscriptForItem(item);
 
         if (!isDuplicate(indexes, item)) {
-          knowledge.items.push(item);
-          indexes.byId.add(String(item.id));
-          indexes.byUrl.add(String(item.url));
-          await saveKnowledge(knowledge);
+          rememberItem(indexes, item);
+          await saveKnowledge(store, item);
           added++;
         }
 
@@ -416,6 +482,76 @@ async function ingestYouTubePlaylist(source, knowledge, indexes, state) {
 
 // ------- YOUTUBE CHANNEL -------
 
+// Accepts "UC…", "@handle", or a channel URL (/channel/UC…, /@handle, /user/name, /c/name)
+function parseChannelRef(ref) {
+  if (typeof ref !== "string") return null;
+  const raw = ref.trim();
+  if (!raw) return null;
+  if (isValidChannelId(raw)) return { channelId: raw };
+  if (raw.startsWith("@")) return { handle: raw };
+
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(raw) ? raw : `https://${raw}`);
+  } catch {
+    return null;
+  }
+  if (!/(^|\.)youtube\.com$/i.test(url.hostname)) return null;
+
+  const [first, second] = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  if (!first) return null;
+  if (first.startsWith("@")) return { handle: first };
+  if (first === "channel" && isValidChannelId(second)) return { channelId: second };
+  if (first === "user" && second) return { username: second };
+  // Legacy /c/<name> custom URLs usually match the modern handle
+  if (first === "c" && second) return { handle: `@${second}` };
+  return null;
+}
+
+async function fetchChannelIdByLookup({ handle, username }) {
+  const url = new URL("https://www.googleapis.com/youtube/v3/channels");
+  url.searchParams.set("part", "id");
+  if (handle) url.searchParams.set("forHandle", handle);
+  else url.searchParams.set("forUsername", username);
+  url.searchParams.set("key", YOUTUBE_API_KEY);
+
+  const json = await withFixture("youtube-channel-lookup", { handle, username }, () =>
+    fetchJson(url.toString(), {}, { label: "YouTube channel lookup" })
+  );
+  return json.items?.[0]?.id ?? null;
+}
+
+// Resolve a configured channel reference to its canonical UC… ID.
+// Lookups are cached in state.youtubeHandles so quota is only spent once per handle. A handle that
+// resolves to nothing (typo, deleted channel) is cached too, as { channelId: null, failedAt }, and
+// looked up again only after HANDLE_RETRY_DAYS. Lookup errors (network, quota) throw.
+async function resolveChannelId(ref, state) {
+  const parsed = parseChannelRef(ref);
+  if (!parsed) return null;
+  if (parsed.channelId) return parsed.channelId;
+
+  const cacheKey = parsed.handle ? parsed.handle.toLowerCase() : `user:${parsed.username.toLowerCase()}`;
+  const cached = state.youtubeHandles[cacheKey];
+  if (cached?.channelId) return cached.channelId;
+  if (cached?.failedAt && Date.now() - new Date(cached.failedAt).getTime() < HANDLE_RETRY_DAYS * 86400000) {
+    return null;
+  }
+
+  if (!HAS_YOUTUBE) return null;
+  const channelId = await fetchChannelIdByLookup(parsed);
+  if (!isValidChannelId(channelId)) {
+    state.youtubeHandles[cacheKey] = { channelId: null, ref, failedAt: nowIso() };
+    await saveState(state);
+    log("YouTube channel reference did not resolve; not retrying for a while", { ref, retryDays: HANDLE_RETRY_DAYS });
+    return null;
+  }
+
+  state.youtubeHandles[cacheKey] = { channelId, ref, resolvedAt: nowIso() };
+  await saveState(state);
+  log("Resolved YouTube channel reference", { ref, channelId });
+  return channelId;
+}
+
 async function fetchYouTubeChannelUploads(channelId, publishedAfterIso, pageToken = null) {
   const url = new URL("https://www.googleapis.com/youtube/v3/search");
   url.searchParams.set("part", "snippet");
@@ -427,13 +563,14 @@ async function fetchYouTubeChannelUploads(channelId, publishedAfterIso, pageToke
   if (publishedAfterIso) url.searchParams.set("publishedAfter", publishedAfterIso);
   if (pageToken) url.searchParams.set("pageToken", pageToken);
 
-  const res = await fetch(url.toString());
-  if (!res.ok) throw new Error(`YouTube channel fetch failed: ${res.status} ${await res.text()}`);
-  return res.json();
+  // publishedAfter moves every run, so it is left out of the fixture key
+  return withFixture("youtube-search", { channelId, pageToken }, () =>
+    fetchJson(url.toString(), {}, { label: "YouTube channel fetch" })
+  );
 }
 
-async function ingestYouTubeChannel(source, knowledge, indexes, state) {
-  if (!YOUTUBE_API_KEY) return;
+async function ingestYouTubeChannel(source, store, indexes, state) {
+  if (!HAS_YOUTUBE) return;
   if (!isValidChannelId(source.id)) {
     log("Invalid channel ID; skipping", { id: source.id });
     return;
@@ -479,10 +616,8 @@ async function ingestYouTubeChannel(source, knowledge, indexes, state) {
         await ensureTranscriptForItem(item);
 
         if (!isDuplicate(indexes, item)) {
-          knowledge.items.push(item);
-          indexes.byId.add(String(item.id));
-          indexes.byUrl.add(String(item.url));
-          await saveKnowledge(knowledge);
+          rememberItem(indexes, item);
+          await saveKnowledge(store, item);
           added++;
         }
 
@@ -504,6 +639,69 @@ async function ingestYouTubeChannel(source, knowledge, indexes, state) {
   }
 }
 
+// ------- RSS / ATOM FEEDS -------
+
+async function ingestFeed(source, store, indexes, state) {
+  if (!isValidFeedUrl(source.url)) {
+    log("Invalid feed URL; skipping", { url: source.url });
+    return;
+  }
+
+  const sKey = `rss:${source.url}`;
+  const srcState = getOrInitSourceState(state, sKey, source.mode);
+  if (shouldSkipByBackoff(srcState)) return;
+  if (source.mode === "once" && srcState.lastSuccess) return;
+  if (source.mode === "daily" && hasRunToday(srcState)) {
+    log("Feed already processed today; skipping", { url: source.url });
+    return;
+  }
+
+  const cut = daysAgo(source.defaultWindow).getTime();
+  let added = 0;
+
+  try {
+    const entries = await fetchFeedEntries(source.url);
+
+    for (const entry of entries.slice(0, source.maxItems)) {
+      const entryId = entry.guid || entry.url;
+      if (!entryId) continue;
+      if (srcState.seenIds[entryId]) continue;
+      // Feeds carry their full history; keep to the configured window
+      if (entry.publishedAt && new Date(entry.publishedAt).getTime() < cut) continue;
+
+      const item = {
+        id: `rss:${entryId}`,
+        title: entry.title || "(untitled)",
+        url: entry.url || null,
+        canonicalUrl: canonicalIfDifferent(entry.url),
+        sourceType: "rss",
+        feedUrl: source.url,
+        description: entry.description || undefined,
+        publishedAt: entry.publishedAt,
+        ingestedAt: nowIso(),
+      };
+
+      if (!isDuplicate(indexes, item)) {
+        rememberItem(indexes, item);
+        await saveKnowledge(store, item);
+        added++;
+      }
+
+      srcState.seenIds[entryId] = true;
+    }
+
+    markSuccess(srcState);
+    state.sources[sKey] = srcState;
+    await saveState(state);
+    log("Feed ingested", { url: source.url, added, entries: entries.length });
+  } catch (e) {
+    log("Feed error", { url: source.url, error: e.message });
+    markFailure(srcState);
+    state.sources[sKey] = srcState;
+    await saveState(state);
+  }
+}
+
 // ------- MAIN -------
 
 export async function ingest() {
@@ -518,26 +716,58 @@ export async function ingest() {
 
   const sources = await loadSourcesConfig();
   const state = await loadState();
-  const knowledge = await loadKnowledge();
-  const indexes = buildDedupeIndexes(knowledge); // <-- source-of-truth dedupe
+  const store = await openKnowledgeStore();
+  const indexes = await buildDedupeIndexes(store); // <-- source-of-truth dedupe
 
-  // Order: Raindrop → Playlists → Channels
+  // Order: Raindrop → Playlists → Channels → Feeds
   for (const col of sources.raindropCollections) {
-    try { await ingestRaindropCollection(col, knowledge, indexes, state); }
+    try { await ingestRaindropCollection(col, store, indexes, state); }
     catch (e) { log("Raindrop collection error", { id: col.id, error: e.message }); }
   }
 
   for (const pl of sources.youtubePlaylists) {
-    try { await ingestYouTubePlaylist(pl, knowledge, indexes, state); }
+    try { await ingestYouTubePlaylist(pl, store, indexes, state); }
     catch (e) { log("YouTube playlist error", { id: pl.id, error: e.message }); }
   }
 
   for (const ch of sources.youtubeChannels) {
-    try { await ingestYouTubeChannel(ch, knowledge, indexes, state); }
-    catch (e) { log("YouTube channel error", { id: ch.id, error: e.message }); }
+    // Lookup failures back off like any other source error, under the configured reference
+    // (entry created on the first failure, removed once the reference resolves)
+    const refKey = `yt:channel-ref:${ch.ref}`;
+    if (state.sources[refKey] && shouldSkipByBackoff(state.sources[refKey])) continue;
+
+    let channelId;
+    try {
+      channelId = await resolveChannelId(ch.ref, state);
+      if (state.sources[refKey]) {
+        delete state.sources[refKey];
+        await saveState(state);
+      }
+    } catch (e) {
+      log("YouTube channel lookup error", { ref: ch.ref, error: e.message });
+      markFailure(getOrInitSourceState(state, refKey, ch.mode));
+      await saveState(state);
+      continue;
+    }
+    if (!channelId) {
+      log("Could not resolve YouTube channel; skipping", { ref: ch.ref });
+      continue;
+    }
+
+    try { await ingestYouTubeChannel({ ...ch, id: channelId }, store, indexes, state); }
+    catch (e) { log("YouTube channel error", { id: channelId, error: e.message }); }
+  }
+
+  for (const feed of sources.feeds) {
+    try { await ingestFeed(feed, store, indexes, state); }
+    catch (e) { log("Feed error", { url: feed.url, error: e.message }); }
   }
 
-  log("Ingest step complete", { total: knowledge.items.length });
+  const total = await store.count();
+  await store.flush();
+  await store.close();
+  await flushPending("Ingest update");
+  log("Ingest step complete", { total });
 }
 
 if (import.meta.url === `file://${process.argv[1]}`) {
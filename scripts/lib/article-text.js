@@ -0,0 +1,153 @@
+// scripts/lib/article-text.js
+// Readable full text for bookmarked/linked web pages, so articles enrich from their content
+// rather than from title + URL.
+//  - Cache: data/articles/<hash of url>.txt (same rules as transcripts)
+//      • file has text → reuse (no re-fetch)
+//      • file is empty → "no readable text" marker (non-HTML, paywall, fetch refused); do not re-fetch
+//      • transient failures (429, 5xx, timeouts) write nothing, so the next run fetches again
+//  - Extraction: drop scripts/styles/nav/header/footer/aside/forms, prefer <article> or <main>,
+//    keep paragraph-like blocks (p, h1-h6, li, blockquote, pre) and skip short link-heavy ones
+//  - Unlike transcripts, article text is NOT pushed to the knowledgebase repo (third-party content);
+//    only the enrichment derived from it is.
+//
+// ARTICLE_EXTRACTION=0 disables fetching; cached text is still used.
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+import { ensureDir } from "./utils.js";
+import { DATA_DIR } from "./paths.js";
+import { DRY_RUN, withFixture } from "./dry-run.js";
+import { fetchWithRetry } from "./http.js";
+
+const ARTICLES_DIR = path.join(DATA_DIR, "articles");
+const ENABLED = process.env.ARTICLE_EXTRACTION !== "0";
+const MIN_TEXT_CHARS = 400; // less than this is navigation/cookie walls, not an article
+const MAX_HTML_CHARS = 3_000_000;
+
+function articleFilePath(url) {
+  const key = crypto.createHash("sha256").update(String(url)).digest("hex").slice(0, 24);
+  return path.join(ARTICLES_DIR, `${key}.txt`);
+}
+
+function decodeEntities(s = "") {
+  return String(s)
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&amp;/g, "&");
+}
+
+function innerText(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, " ")).replace(/\s+/g, " ").trim();
+}
+
+// Largest <article>/<main> region if any, else <body>, else the whole document
+function contentRegion(html) {
+  for (const tag of ["article", "main"]) {
+    const regions = Array.from(html.matchAll(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)<\\/${tag}>`, "gi")));
+    if (regions.length) return regions.map((m) => m[1]).sort((a, b) => b.length - a.length)[0];
+  }
+  const body = html.match(/<body(?:\s[^>]*)?>([\s\S]*?)<\/body>/i);
+  return body ? body[1] : html;
+}
+
+/**
+ * Strip boilerplate from an HTML page and return its readable text (blocks separated by blank lines).
+ */
+export function extractReadableText(html = "") {
+  const cleaned = String(html)
+    .slice(0, MAX_HTML_CHARS)
+    .replace(/<!--[\s\S]*?-->/g, " ")
+    .replace(/<(script|style|noscript|svg|template|iframe|form|nav|header|footer|aside)(?:\s[^>]*)?>[\s\S]*?<\/\1>/gi, " ");
+
+  const region = contentRegion(cleaned);
+  const blocks = [];
+  const blockRegex = /<(p|h[1-6]|li|blockquote|pre)(?:\s[^>]*)?>([\s\S]*?)<\/\1>/gi;
+  let m;
+  while ((m = blockRegex.exec(region)) !== null) {
+    const text = innerText(m[2]);
+    if (!text) continue;
+    const isHeading = /^h[1-6]$/i.test(m[1]);
+    // Link-heavy short blocks are menus, tag clouds, "related posts"
+    const linkText = Array.from(m[2].matchAll(/<a\s[^>]*>([\s\S]*?)<\/a>/gi)).map((a) => innerText(a[1])).join("");
+    if (!isHeading && text.length < 200 && linkText.length > text.length * 0.6) continue;
+    if (!isHeading && text.length < 30 && !/[.!?:]$/.test(text)) continue;
+    blocks.push(text);
+  }
+
+  // No block markup at all (very old or JS-less pages): fall back to the region's text
+  const text = blocks.length ? blocks.join("\n\n") : innerText(region);
+  return text.length >= MIN_TEXT_CHARS ? text : "";
+}
+
+export async function readCachedArticle(url) {
+  const p = articleFilePath(url);
+  try {
+    const raw = (await fs.readFile(p, "utf8")).trim();
+    return { path: p, text: raw || null, exists: true, emptyMarker: !raw };
+  } catch {
+    return { path: p, text: null, exists: false, emptyMarker: false };
+  }
+}
+
+async function fetchArticleHtml(url) {
+  try {
+    const res = await fetchWithRetry(
+      url,
+      {
+        headers: {
+          Accept: "text/html,application/xhtml+xml;q=0.9,*/*;q=0.5",
+          "User-Agent": "Mozilla/5.0 (compatible; knowledgebase-ingest/1.0)",
+        },
+      },
+      { label: "Article fetch" }
+    );
+    const type = res.headers.get("content-type") || "";
+    if (type && !/html|xml/i.test(type)) return null; // PDFs, images, downloads
+    return res.text();
+  } catch (err) {
+    // 4xx (paywall, bot wall, gone): definitive, mark it. 429/5xx/timeouts are transient:
+    // rethrow so no marker is written and the next run tries again
+    if (err.retryable === false) return null;
+    throw err;
+  }
+}
+
+/**
+ * Cached readable text for an article URL, fetching and extracting it when missing.
+ * @returns {{ path, text, exists, emptyMarker, status, updated }}
+ */
+export async function ensureArticleText(url, { fetchIfMissing = ENABLED } = {}) {
+  const cached = await readCachedArticle(url);
+  if (cached.exists) {
+    return { ...cached, status: cached.emptyMarker ? "empty-marker" : "cached", updated: false };
+  }
+  if (!fetchIfMissing) return { ...cached, status: "missing", updated: false };
+
+  let html;
+  try {
+    html = await withFixture("article", { url }, () => fetchArticleHtml(url));
+  } catch (err) {
+    // No recorded page: leave it missing rather than writing an empty marker
+    if (DRY_RUN) return { ...cached, status: "missing", updated: false };
+    throw err;
+  }
+
+  const text = html ? extractReadableText(html) : "";
+  await ensureDir(ARTICLES_DIR);
+  await fs.writeFile(cached.path, text, "utf8");
+  return {
+    path: cached.path,
+    text: text || null,
+    exists: true,
+    emptyMarker: !text,
+    status: text ? "fetched" : "empty-written",
+    updated: true,
+  };
+}
@@ -0,0 +1,148 @@
+// scripts/lib/budget-ledger.js
+// Persistent, cross-run spend ledger for guarded LLM calls (data/cache/budget-ledger.json).
+//
+// Every call that passes through guardrails.safeCall() is appended with
+// { ts, provider, model, stage, inputTokens, outputTokens, costUsd }.
+// Rolling-window budgets (USD; unset or 0 = unlimited):
+//  - BUDGET_DAILY_USD    → last 24 hours
+//  - BUDGET_WEEKLY_USD   → last 7 days
+//  - BUDGET_MONTHLY_USD  → last 30 days
+// Entries older than the longest window are pruned on write.
+//
+// Reservations: checkBudget(estCost) reserves the estimate for an admitted call and recordSpend()
+// (or releaseBudget() when the call fails) settles it, so concurrent workers cannot all pass the
+// check against the same remaining budget.
+//
+// CI starts from a fresh checkout, so the pipeline pulls the ledger from the knowledgebase repo
+// before the first stage and pushes it back with the final sync (kb-sync pullBudgetLedger /
+// syncBudgetLedger); mergeLedgerEntries() keeps local entries that the pulled copy lacks.
+
+import path from "node:path";
+import { loadJson, saveJsonCheckpoint } from "./utils.js";
+import { DATA_DIR } from "./paths.js";
+import { createSerialQueue } from "./scheduler.js";
+
+export const LEDGER_FILE = path.join(DATA_DIR, "cache", "budget-ledger.json");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WINDOWS = [
+  { name: "daily", ms: DAY_MS, limit: Number(process.env.BUDGET_DAILY_USD ?? 0) },
+  { name: "weekly", ms: 7 * DAY_MS, limit: Number(process.env.BUDGET_WEEKLY_USD ?? 0) },
+  { name: "monthly", ms: 30 * DAY_MS, limit: Number(process.env.BUDGET_MONTHLY_USD ?? 0) },
+];
+const RETAIN_MS = Math.max(...WINDOWS.map((w) => w.ms));
+
+let ledger = null;
+let reservedUsd = 0; // estimates of admitted calls that have not recorded their spend yet
+const writes = createSerialQueue(); // parallel workers record spend concurrently
+
+// Memoized as a promise: concurrent first calls must share one ledger object
+function loadLedger() {
+  ledger ??= loadJson(LEDGER_FILE, { entries: [] }).then((raw) => ({
+    ...raw,
+    entries: Array.isArray(raw?.entries) ? raw.entries : [],
+  }));
+  return ledger;
+}
+
+function spentSince(entries, sinceMs) {
+  let total = 0;
+  for (const e of entries) {
+    if (Date.parse(e.ts) >= sinceMs) total += Number(e.costUsd) || 0;
+  }
+  return total;
+}
+
+function entryKey(e) {
+  return `${e.ts}|${e.provider}|${e.model}|${e.stage}|${e.inputTokens}|${e.outputTokens}|${e.costUsd}`;
+}
+
+/**
+ * Merge entries from another copy of the ledger (e.g. pulled from the knowledgebase repo).
+ * Entries already present are skipped; the result is pruned and saved.
+ * @returns {Promise<number>} number of entries added
+ */
+export async function mergeLedgerEntries(entries) {
+  const l = await loadLedger();
+  const seen = new Set(l.entries.map(entryKey));
+  const now = Date.now();
+  let added = 0;
+  for (const e of Array.isArray(entries) ? entries : []) {
+    if (!e?.ts || seen.has(entryKey(e))) continue;
+    seen.add(entryKey(e));
+    l.entries.push(e);
+    added++;
+  }
+  l.entries = l.entries
+    .filter((e) => Date.parse(e.ts) >= now - RETAIN_MS)
+    .sort((a, b) => Date.parse(a.ts) - Date.parse(b.ts));
+  await writes(() => saveJsonCheckpoint(LEDGER_FILE, l));
+  return added;
+}
+
+/**
+ * Drop a reservation made by checkBudget() for a call that failed before it could be recorded.
+ */
+export function releaseBudget(estCost = 0) {
+  if (estCost > 0) reservedUsd = Math.max(0, reservedUsd - estCost);
+}
+
+/**
+ * Append a call to the ledger.
+ * @param {object} spend - { provider, model, stage, inputTokens, outputTokens, costUsd }
+ * @param {number} [spend.reservedUsd] - the estimate checkBudget() reserved for this call
+ */
+export async function recordSpend({
+  provider,
+  model,
+  stage = null,
+  inputTokens = 0,
+  outputTokens = 0,
+  costUsd = 0,
+  reservedUsd: reservation = 0,
+}) {
+  const l = await loadLedger();
+  releaseBudget(reservation);
+  const now = Date.now();
+  l.entries.push({
+    ts: new Date(now).toISOString(),
+    provider,
+    model,
+    stage,
+    inputTokens,
+    outputTokens,
+    costUsd,
+  });
+  l.entries = l.entries.filter((e) => Date.parse(e.ts) >= now - RETAIN_MS);
+  await writes(() => saveJsonCheckpoint(LEDGER_FILE, l));
+}
+
+/**
+ * Spend per configured window.
+ * @returns {Promise<{ exhausted: boolean, windows: { name, limit, spent, remaining }[] }>}
+ */
+export async function budgetStatus() {
+  const { entries } = await loadLedger();
+  const now = Date.now();
+  const windows = WINDOWS.filter((w) => w.limit > 0).map((w) => {
+    const spent = spentSince(entries, now - w.ms);
+    return { name: w.name, limit: w.limit, spent, remaining: Math.max(0, w.limit - spent) };
+  });
+  return { exhausted: windows.some((w) => w.remaining <= 0), windows };
+}
+
+/**
+ * First window a call of `estCost` would overrun, or null when it fits. A call that fits has
+ * `estCost` reserved until recordSpend()/releaseBudget() settles it; in-flight reservations count
+ * as spent for every window.
+ * Zero-cost calls (free models, local provider) are never refused.
+ */
+export async function checkBudget(estCost = 0) {
+  if (!(estCost > 0)) return null;
+  const { windows } = await budgetStatus();
+  // No await between the check and the reservation: concurrent callers see each other's estimates
+  const overrun = windows.find((w) => w.spent + reservedUsd + estCost > w.limit);
+  if (overrun) return { ...overrun, reserved: reservedUsd };
+  reservedUsd += estCost;
+  return null;
+}
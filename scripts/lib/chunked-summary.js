@@ -0,0 +1,220 @@
+// scripts/lib/chunked-summary.js
+// Map-reduce condensation of long transcripts/articles for enrich.
+//  - split: content is cut into ~ENRICH_CHUNK_TOKENS pieces on paragraph/sentence/word boundaries
+//  - map:    each chunk → plain-text section notes (≤ ENRICH_CHUNK_NOTE_TOKENS)
+//  - reduce: while the joined notes exceed ENRICH_REDUCE_TOKENS, adjacent notes are merged in groups
+//            (each merge ≤ ENRICH_CHUNK_NOTE_TOKENS × 2); the result feeds enrich's usual JSON prompt
+//
+// Content up to ENRICH_SINGLE_PASS_TOKENS skips all of this. Anything beyond ENRICH_MAX_INPUT_TOKENS
+// is clamped (head + tail) before splitting, which bounds the number of map calls per item.
+//
+// Every map/merge result is cached in data/cache/enrich-chunks/<item>.json, keyed by a hash of its
+// input, so a re-run after a failure (or a budget stop) only pays for the steps that did not finish.
+// enrich calls clearChunkCache() once the item is saved.
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+import { callLLM } from "./llm-router.js";
+import { loadJson, saveJsonCheckpoint } from "./utils.js";
+import { DATA_DIR } from "./paths.js";
+import { estimateTokensFromText, logStageUsage } from "./token-usage.js";
+
+const CACHE_DIR = path.join(DATA_DIR, "cache", "enrich-chunks");
+const CHARS_PER_TOKEN = 4; // same ratio as estimateTokensFromText
+const PROMPT_VERSION = 2; // bump when the map/merge prompts change to invalidate cached notes
+
+export const BUDGETS = {
+  singlePass: Number(process.env.ENRICH_SINGLE_PASS_TOKENS ?? 3000),
+  chunk: Number(process.env.ENRICH_CHUNK_TOKENS ?? 3000),
+  note: Number(process.env.ENRICH_CHUNK_NOTE_TOKENS ?? 250),
+  reduce: Number(process.env.ENRICH_REDUCE_TOKENS ?? 6000),
+  maxInput: Number(process.env.ENRICH_MAX_INPUT_TOKENS ?? 60000),
+};
+
+export function needsChunking(text) {
+  return estimateTokensFromText(text) > BUDGETS.singlePass;
+}
+
+function hash(s) {
+  return crypto.createHash("sha256").update(s).digest("hex").slice(0, 16);
+}
+
+function cacheFile(itemId) {
+  return path.join(CACHE_DIR, `${hash(String(itemId))}.json`);
+}
+
+export async function clearChunkCache(itemId) {
+  await fs.rm(cacheFile(itemId), { force: true });
+}
+
+function clampTokens(text, maxTokens) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  if (text.length <= maxChars) return text;
+  const head = text.slice(0, Math.floor(maxChars * 0.7));
+  const tail = text.slice(-Math.floor(maxChars * 0.3));
+  return `${head}\n...\n${tail}`;
+}
+
+// Smallest pieces we are willing to cut between: paragraphs, then sentences, then words.
+// Auto-generated transcripts often have no punctuation at all, hence the word fallback.
+function splitUnits(text, maxChars) {
+  const units = [];
+  for (const para of text.split(/\n\s*\n|\r?\n/)) {
+    const p = para.trim();
+    if (!p) continue;
+    if (p.length <= maxChars) {
+      units.push(p);
+      continue;
+    }
+    for (const sentence of p.split(/(?<=[.!?])\s+/)) {
+      if (sentence.length <= maxChars) {
+        units.push(sentence);
+        continue;
+      }
+      let buf = "";
+      for (const word of sentence.split(/\s+/)) {
+        if (buf && buf.length + word.length + 1 > maxChars) {
+          units.push(buf);
+          buf = "";
+        }
+        buf = buf ? `${buf} ${word}` : word.slice(0, maxChars);
+      }
+      if (buf) units.push(buf);
+    }
+  }
+  return units;
+}
+
+// Greedily pack units into chunks of at most `maxTokens`
+export function splitIntoChunks(text, maxTokens = BUDGETS.chunk) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  const chunks = [];
+  let buf = "";
+  for (const unit of splitUnits(String(text ?? ""), maxChars)) {
+    if (buf && buf.length + unit.length + 1 > maxChars) {
+      chunks.push(buf);
+      buf = "";
+    }
+    buf = buf ? `${buf}\n${unit}` : unit;
+  }
+  if (buf) chunks.push(buf);
+  return chunks;
+}
+
+// Group consecutive notes so that each group's joined text fits `maxTokens` (at least 2 per group)
+function groupNotes(notes, maxTokens) {
+  const groups = [];
+  let cur = [];
+  let curTokens = 0;
+  for (const n of notes) {
+    const t = estimateTokensFromText(n);
+    if (cur.length >= 2 && curTokens + t > maxTokens) {
+      groups.push(cur);
+      cur = [];
+      curTokens = 0;
+    }
+    cur.push(n);
+    curTokens += t;
+  }
+  if (cur.length) groups.push(cur);
+  return groups;
+}
+
+function words(tokens) {
+  return Math.max(40, Math.round(tokens * 0.75));
+}
+
+function languageRule(language) {
+  return language ? [`The text is in ${language}; write the notes in English (keep names as written).`] : [];
+}
+
+function buildMapPrompt({ item, kind, chunk, index, total, language }) {
+  return [
+    `You are condensing part ${index + 1} of ${total} of a long ${kind} for a knowledgebase.`,
+    `Title: ${item.title ?? "(untitled)"}`,
+    "",
+    `Write dense plain-text notes (at most ${words(BUDGETS.note)} words) covering this part only:`,
+    "- main claims, methods, results and caveats",
+    "- concrete details: names of people, orgs, products, technologies, standards, numbers",
+    "- if the text has [m:ss] timestamps, start each point with the timestamp where it is discussed",
+    "No preamble, no Markdown headings, no commentary about the text being partial.",
+    ...languageRule(language),
+    "",
+    `Part ${index + 1}/${total}:`,
+    chunk,
+  ].join("\n");
+}
+
+function buildMergePrompt({ item, kind, notes, language }) {
+  return [
+    `You are merging consecutive section notes of a long ${kind} for a knowledgebase.`,
+    `Title: ${item.title ?? "(untitled)"}`,
+    "",
+    `Combine them into one set of plain-text notes (at most ${words(BUDGETS.note * 2)} words), in order.`,
+    "Keep concrete details (names, products, technologies, numbers) and any [m:ss] timestamps; drop repetition.",
+    "No preamble, no Markdown headings.",
+    ...(language ? ["Write in English."] : []),
+    "",
+    ...notes.map((n, i) => `Section ${i + 1}:\n${n}`),
+  ].join("\n\n");
+}
+
+function validNote(text) {
+  const s = String(text ?? "").trim();
+  return s.length >= 40 ? s : null;
+}
+
+/**
+ * Condense long content into ordered section notes that fit the single-pass budget.
+ * @param {object} params
+ * @param {object} params.item   - knowledge item (id/title used for prompts, cache and logs)
+ * @param {string} params.text   - transcript or article text
+ * @param {string} [params.kind] - "transcript" | "article", used in prompts
+ * @param {string} [params.language] - source language name when not English (notes come back in English)
+ * @param {function} [params.log]
+ * @returns {Promise<{ notes: string, chunks: number, rounds: number, calls: object[] }>}
+ *          calls: { model, provider, usage } per LLM call actually made (cache hits excluded)
+ */
+export async function condenseLongContent({ item, text, kind = "transcript", language = null, log = () => {} }) {
+  const file = cacheFile(item.id);
+  const cache = await loadJson(file, { itemId: item.id, entries: {} });
+  const calls = [];
+
+  async function cached(prompt) {
+    const key = hash(`${PROMPT_VERSION}\n${prompt}`);
+    if (cache.entries[key]) return cache.entries[key];
+    const r = await callLLM("enrich", prompt, { validate: validNote, log, ctx: { id: item.id } });
+    await logStageUsage("enrich", r.model, prompt, r.text, item.id, r.usage);
+    calls.push({ model: r.model, provider: r.provider, usage: r.usage });
+    cache.entries[key] = r.result;
+    await saveJsonCheckpoint(file, cache);
+    return r.result;
+  }
+
+  const chunks = splitIntoChunks(clampTokens(String(text), BUDGETS.maxInput), BUDGETS.chunk);
+  log("Summarizing long content in chunks", { id: item.id, kind, chunks: chunks.length });
+
+  let notes = [];
+  for (let i = 0; i < chunks.length; i++) {
+    notes.push(await cached(buildMapPrompt({ item, kind, chunk: chunks[i], index: i, total: chunks.length, language })));
+  }
+
+  let rounds = 0;
+  while (notes.length > 1 && estimateTokensFromText(notes.join("\n\n")) > BUDGETS.reduce) {
+    const groups = groupNotes(notes, BUDGETS.reduce);
+    const merged = [];
+    for (const g of groups) merged.push(g.length === 1 ? g[0] : await cached(buildMergePrompt({ item, kind, notes: g, language })));
+    rounds++;
+    if (merged.length >= notes.length) break; // no progress possible (notes already at budget)
+    notes = merged;
+  }
+
+  return {
+    notes: notes.map((n, i) => (notes.length > 1 ? `[Part ${i + 1}/${notes.length}]\n${n}` : n)).join("\n\n"),
+    chunks: chunks.length,
+    rounds,
+    calls,
+  };
+}
@@ -2,10 +2,11 @@
 // Minimal DeepSeek Chat helper (direct).
 // Returns { text, model, tokens, rawUsage } with provider metadata.
 
-import fetch from "node-fetch";
+import { fetchWithRetry } from "./http.js";
+import { DRY_RUN, withFixture } from "./dry-run.js";
 
 const DEEPSEEK_API_KEY = process.env.DEEPSEEK_API_KEY;
-if (!DEEPSEEK_API_KEY) {
+if (!DEEPSEEK_API_KEY && !DRY_RUN) {
   console.warn("DEEPSEEK_API_KEY not set; DeepSeek direct calls will fail and trigger fallbacks.");
 }
 
@@ -13,29 +14,33 @@ if (!DEEPSEEK_API_KEY) {
 // (OpenRouter free tier is "deepseek/deepseek-chat-v3.1:free" and is configured in models.json)
 export async function callDeepSeek(
   prompt,
-  { model = "deepseek-chat", temperature = 0.2 } = {}
+  { model = "deepseek-chat", temperature = 0.2, timeoutMs = 120000 } = {}
 ) {
+  return withFixture("deepseek", { model, temperature, prompt }, () =>
+    requestDeepSeek(prompt, { model, temperature, timeoutMs })
+  );
+}
+
+// Retries are left to the router (retries: 0); errors carry status / retryAfterMs for it
+async function requestDeepSeek(prompt, { model, temperature, timeoutMs }) {
   if (!DEEPSEEK_API_KEY) throw new Error("DEEPSEEK_API_KEY missing");
 
-  const res = await fetch("https://api.deepseek.com/chat/completions", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${DEEPSEEK_API_KEY}`,
-      "Content-Type": "application/json",
+  const res = await fetchWithRetry(
+    "https://api.deepseek.com/chat/completions",
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${DEEPSEEK_API_KEY}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        model,
+        messages: [{ role: "user", content: prompt }],
+        temperature,
+      }),
     },
-    body: JSON.stringify({
-      model,
-      messages: [{ role: "user", content: prompt }],
-      temperature,
-    }),
-  });
-
-  if (!res.ok) {
-    const t = await safeText(res);
-    throw new Error(
-      `DeepSeek ${model} error: ${res.status} ${res.statusText}${t ? ` – ${t.slice(0, 400)}` : ""}`
-    );
-  }
+    { label: `DeepSeek ${model}`, retries: 0, timeoutMs }
+  );
 
   const data = await res.json();
   const text = data?.choices?.[0]?.message?.content?.trim() ?? "";
@@ -44,7 +49,3 @@ export async function callDeepSeek(
 
   return { text, model, tokens, rawUsage: { ...usage, provider: "deepseek" } };
 }
-
-async function safeText(res) {
-  try { return await res.text(); } catch { return ""; }
-}
@@ -0,0 +1,62 @@
+// scripts/lib/dry-run.js
+// Offline / dry-run support shared by every network-facing helper.
+//
+// Modes (flags or env, read once at import so they apply before any client initializes):
+//  - --dry-run          / KB_DRY_RUN=1          → no network: fixtures are replayed, upstream
+//                                                  pushes and emails are written locally instead
+//  - --record-fixtures  / KB_RECORD_FIXTURES=1  → live calls, responses saved as fixtures
+//
+// Fixtures live under KB_FIXTURES_DIR (default: fixtures/) as <kind>/<key>.json, where key is a
+// short hash of the request. When replaying, <kind>/_default.json is used if no exact match exists.
+
+import crypto from "node:crypto";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { loadJson, saveJsonCheckpoint } from "./utils.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, "..", "..");
+
+export const DRY_RUN =
+  process.argv.includes("--dry-run") || process.env.KB_DRY_RUN === "1";
+export const RECORD_FIXTURES =
+  !DRY_RUN &&
+  (process.argv.includes("--record-fixtures") || process.env.KB_RECORD_FIXTURES === "1");
+export const FIXTURES_DIR = path.resolve(process.env.KB_FIXTURES_DIR || path.join(ROOT, "fixtures"));
+
+export function fixtureKey(request) {
+  return crypto.createHash("sha256").update(JSON.stringify(request)).digest("hex").slice(0, 16);
+}
+
+function fixturePath(kind, name) {
+  return path.join(FIXTURES_DIR, kind, `${name}.json`);
+}
+
+/**
+ * Run `live()` normally, replay a recorded response in dry-run, or record it when asked.
+ * @param {string} kind     - fixture folder, e.g. "gemini", "youtube-search"
+ * @param {object} request  - identifying request data (no secrets); hashed into the file name
+ * @param {function} live   - async function performing the real call; its result must be JSON-safe
+ */
+export async function withFixture(kind, request, live) {
+  const key = fixtureKey(request);
+
+  if (DRY_RUN) {
+    const exact = await loadJson(fixturePath(kind, key), null);
+    if (exact) return exact.response;
+    const fallback = await loadJson(fixturePath(kind, "_default"), null);
+    if (fallback) return fallback.response;
+    throw new Error(`dry-run: no fixture for ${kind}/${key}`);
+  }
+
+  const response = await live();
+  if (RECORD_FIXTURES) {
+    await saveJsonCheckpoint(fixturePath(kind, key), {
+      kind,
+      request,
+      recordedAt: new Date().toISOString(),
+      response,
+    });
+  }
+  return response;
+}
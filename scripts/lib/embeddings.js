@@ -0,0 +1,304 @@
+// scripts/lib/embeddings.js
+// Text embeddings for clustering (and anything else that needs item similarity).
+// Providers come from the top-level "embeddings" list in config/models.json, tried in order:
+//
+//   { "embeddings": [ { provider, model, dimensions, batchSize, timeoutMs, clusterThreshold, enabled } ] }
+//
+//  - "gemini" → gemini-embedding-001 (paid; runs through guardrails like every LLM call)
+//  - "local"  → any OpenAI-compatible /embeddings endpoint (Ollama: nomic-embed-text, ...)
+//  - "hash"   → built-in feature-hashed bag of words/bigrams: no network, no keys, deterministic.
+//               Good enough for near-duplicates that share wording; blind to paraphrase.
+//
+// Vectors from different models are not comparable, so one model embeds a whole collection: the
+// first entry that succeeds is used for every document, and a failing entry hands the whole
+// collection to the next one. Two exceptions keep a collection from flipping models (and cluster
+// thresholds) over a transient error:
+//  - batches a failing entry did complete are cached, so the next run only embeds the rest
+//  - when the collection's current model fails but its vectors (cached + completed) still cover
+//    EMBEDDINGS_MIN_COVERAGE (default 0.8) of the documents, it stays in use and the remaining
+//    documents go without a vector until a later run
+//
+// Vectors are cached in data/embeddings/<collection>.json as { model, updatedAt, models: { <model>:
+// { dimensions, items: { id: { hash, vector } } } } } (model = the one in use; other sections hold
+// partial progress of preferred models) and only recomputed when a document's text changes.
+// The cache is local; it is not pushed to the knowledgebase repo.
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+import { loadJson, saveTextCheckpoint } from "./utils.js";
+import { DATA_DIR, ROOT_DIR } from "./paths.js";
+import { safeCall } from "./guardrails.js";
+import { createRateLimiter } from "./scheduler.js";
+
+const MODELS_PATH = path.join(ROOT_DIR, "config", "models.json");
+const EMBEDDINGS_DIR = path.join(DATA_DIR, "embeddings");
+const MIN_COVERAGE = Number(process.env.EMBEDDINGS_MIN_COVERAGE ?? 0.8);
+
+export const HASH_ENTRY = { provider: "hash", model: "hash-512", dimensions: 512, clusterThreshold: 0.55 };
+
+// provider → (entry, texts) => { vectors, model, rawUsage }
+const PROVIDERS = {
+  async gemini(entry, texts) {
+    const { embedGemini } = await import("./gemini.js");
+    return embedGemini(texts, { model: entry.model, dimensions: entry.dimensions, timeoutMs: entry.timeoutMs });
+  },
+  async local(entry, texts) {
+    const { embedLocal } = await import("./local-llm.js");
+    return embedLocal(texts, { model: entry.model, baseUrl: entry.baseUrl, timeoutMs: entry.timeoutMs });
+  },
+};
+
+let configCache = null;
+const limiters = new Map(); // provider -> rate limiter
+
+async function loadConfig() {
+  if (configCache) return configCache;
+  try {
+    configCache = JSON.parse(await fs.readFile(MODELS_PATH, "utf8"));
+  } catch {
+    configCache = {};
+  }
+  return configCache;
+}
+
+/**
+ * Enabled embedding entries in preference order; the hash provider is always the last resort.
+ */
+export async function getEmbeddingChain() {
+  const cfg = await loadConfig();
+  const chain = (Array.isArray(cfg.embeddings) ? cfg.embeddings : []).filter((e) => e && e.enabled !== false);
+  return chain.some((e) => e.provider === "hash") ? chain : [...chain, HASH_ENTRY];
+}
+
+async function limiterFor(provider) {
+  if (!limiters.has(provider)) {
+    const cfg = await loadConfig();
+    limiters.set(provider, createRateLimiter(cfg?.rateLimits?.[provider] || {}));
+  }
+  return limiters.get(provider);
+}
+
+export function modelKey(entry) {
+  return `${entry.provider}/${entry.model}`;
+}
+
+// ---------- Hash provider ----------
+
+const STOPWORDS = new Set(
+  ("a an and are as at be but by can do for from has have how i in into is it its new of on or our " +
+    "that the their this to was we what when which who why will with you your").split(" ")
+);
+
+function fnv1a(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function tokenize(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t));
+}
+
+/**
+ * Deterministic feature-hashed embedding (unigrams + bigrams, sublinear tf, L2-normalized).
+ */
+export function hashEmbedding(text, dimensions = HASH_ENTRY.dimensions) {
+  const tokens = tokenize(text);
+  const counts = new Map();
+  const add = (feature) => counts.set(feature, (counts.get(feature) ?? 0) + 1);
+  tokens.forEach((t, i) => {
+    add(t);
+    if (i > 0) add(`${tokens[i - 1]} ${t}`);
+  });
+
+  const vector = new Array(dimensions).fill(0);
+  for (const [feature, n] of counts) {
+    const h = fnv1a(feature);
+    // The top bit picks the sign so colliding features cancel out instead of piling up
+    vector[h % dimensions] += (h & 0x80000000 ? -1 : 1) * (1 + Math.log(n));
+  }
+  return normalize(vector);
+}
+
+// ---------- Vector math ----------
+
+export function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((n, x) => n + x * x, 0));
+  return norm ? vector.map((x) => x / norm) : vector;
+}
+
+// Vectors are stored L2-normalized, so the dot product is the cosine similarity
+export function cosine(a, b) {
+  let dot = 0;
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+// ---------- Embedding calls ----------
+
+/**
+ * Embed texts with one entry. Remote providers run through guardrails (spend caps, budget ledger)
+ * and the per-provider rate limits from config/models.json.
+ * @param {object} [options]
+ * @param {function} [options.onBatch] - (offset, vectors) after each completed batch, so callers
+ *                                       keep finished work when a later batch throws
+ * @returns {Promise<number[][]>} L2-normalized vectors, in input order
+ */
+export async function embedWith(entry, texts, { onBatch = null } = {}) {
+  if (entry.provider === "hash") {
+    const vectors = texts.map((t) => hashEmbedding(t, entry.dimensions));
+    onBatch?.(0, vectors);
+    return vectors;
+  }
+
+  const call = PROVIDERS[entry.provider];
+  if (!call) throw new Error(`Unknown embeddings provider "${entry.provider}"`);
+
+  const batchSize = Math.max(1, Number(entry.batchSize ?? 64));
+  const limiter = await limiterFor(entry.provider);
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += batchSize) {
+    const batch = texts.slice(i, i + batchSize);
+    const prompt = batch.join("\n");
+    await limiter.acquire(Math.ceil(prompt.length / 4));
+    const r = await safeCall({
+      provider: entry.provider,
+      model: entry.model,
+      fn: () => call(entry, batch),
+      prompt,
+      price: entry.costPerToken,
+      stage: "embeddings",
+    });
+    if (!r) throw Object.assign(new Error(`${entry.provider} skipped (cap reached)`), { capped: true });
+    limiter.success();
+    const batchVectors = r.vectors.map((v) => normalize(v.map(Number)));
+    onBatch?.(i, batchVectors);
+    vectors.push(...batchVectors);
+  }
+  return vectors;
+}
+
+function textHash(text) {
+  return crypto.createHash("sha256").update(String(text)).digest("hex").slice(0, 16);
+}
+
+function round(vector) {
+  return vector.map((x) => Math.round(x * 1e5) / 1e5);
+}
+
+export function collectionFile(collection) {
+  return path.join(EMBEDDINGS_DIR, `${collection}.json`);
+}
+
+// Older caches hold a single model: { model, dimensions, items }
+async function loadCache(file) {
+  const raw = await loadJson(file, null);
+  if (raw?.models && typeof raw.models === "object") return { model: raw.model ?? null, models: raw.models };
+  if (raw?.model) return { model: raw.model, models: { [raw.model]: { dimensions: raw.dimensions ?? null, items: raw.items || {} } } };
+  return { model: null, models: {} };
+}
+
+// Keep the model in use plus partial progress of models preferred over it; compact JSON, since
+// pretty-printing puts every vector component on its own line
+async function saveCache(file, cache, chain) {
+  const order = chain.map(modelKey);
+  const activeRank = cache.model ? order.indexOf(cache.model) : order.length;
+  const models = {};
+  for (const [model, section] of Object.entries(cache.models)) {
+    const rank = order.indexOf(model);
+    if (model === cache.model || (rank !== -1 && rank < activeRank && Object.keys(section.items).length)) {
+      models[model] = section;
+    }
+  }
+  await saveTextCheckpoint(file, JSON.stringify({ model: cache.model, updatedAt: new Date().toISOString(), models }));
+}
+
+function toMap(items) {
+  return new Map(Object.entries(items).map(([id, v]) => [id, v.vector]));
+}
+
+/**
+ * Vectors for a collection of documents, reusing cached ones whose text is unchanged.
+ * Documents missing from `docs` are dropped from the cache.
+ * @param {string} collection - cache name, e.g. "cluster"
+ * @param {{ id: string, text: string }[]} docs
+ * @param {object} [options]
+ * @param {function} [options.log]
+ * @returns {Promise<{ entry: object, model: string, vectors: Map<string, number[]>, embedded: number, missing: number }>}
+ *          entry is the config entry that produced the vectors (clusterThreshold etc.); missing
+ *          counts documents left without a vector (see EMBEDDINGS_MIN_COVERAGE)
+ */
+export async function embedDocuments(collection, docs, { log = () => {} } = {}) {
+  const file = collectionFile(collection);
+  const cache = await loadCache(file);
+  const chain = await getEmbeddingChain();
+  let lastErr = null;
+
+  for (const entry of chain) {
+    const model = modelKey(entry);
+    const previous = cache.models[model]?.items || {};
+    const items = {};
+    const missing = [];
+    for (const doc of docs) {
+      const hash = textHash(doc.text);
+      if (previous[doc.id]?.hash === hash) items[doc.id] = previous[doc.id];
+      else missing.push({ ...doc, hash });
+    }
+
+    let failure = null;
+    let embedded = 0;
+    if (missing.length) {
+      try {
+        await embedWith(
+          entry,
+          missing.map((d) => d.text),
+          {
+            onBatch: (offset, vectors) => {
+              vectors.forEach((vector, k) => {
+                const d = missing[offset + k];
+                items[d.id] = { hash: d.hash, vector: round(vector) };
+              });
+              embedded += vectors.length;
+            },
+          }
+        );
+      } catch (err) {
+        failure = err;
+      }
+    }
+    cache.models[model] = { dimensions: entry.dimensions ?? null, items };
+
+    if (!failure) {
+      cache.model = model;
+      await saveCache(file, cache, chain);
+      return { entry, model, vectors: toMap(items), embedded, missing: 0 };
+    }
+
+    const covered = Object.keys(items).length;
+    const keep = cache.model === model && covered >= MIN_COVERAGE * docs.length;
+    await saveCache(file, cache, chain); // completed batches survive either way
+    if (failure.budgetExhausted) throw failure;
+    if (keep) {
+      log("Embeddings provider failed; keeping its cached vectors", {
+        model,
+        error: failure.message,
+        unembedded: docs.length - covered,
+      });
+      return { entry, model, vectors: toMap(items), embedded, missing: docs.length - covered };
+    }
+    lastErr = failure;
+    log("Embeddings provider failed; trying next", { model, embedded, error: failure.message });
+  }
+  throw lastErr || new Error("No embeddings provider available");
+}
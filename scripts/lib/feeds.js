@@ -0,0 +1,117 @@
+// scripts/lib/feeds.js
+// Minimal RSS 2.0 / Atom parsing helpers for ingest (no XML dependency).
+// Returns normalized entries: { guid, title, url, publishedAt, description }
+
+import { fetchWithRetry } from "./http.js";
+import { withFixture } from "./dry-run.js";
+
+function decodeEntities(s = "") {
+  return String(s)
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&amp;/g, "&");
+}
+
+function unwrapCdata(s = "") {
+  const m = String(s).match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  return m ? m[1] : s;
+}
+
+function stripHtml(s = "") {
+  return String(s)
+    .replace(/<script[\s\S]*?<\/script>/gi, " ")
+    .replace(/<style[\s\S]*?<\/style>/gi, " ")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Text content of the first <tag>…</tag> (namespace prefix allowed, e.g. dc:date)
+function tagText(xml, tag) {
+  const re = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)<\\/${tag}>`, "i");
+  const m = xml.match(re);
+  if (!m) return null;
+  const raw = unwrapCdata(m[1]);
+  // CDATA content is literal; everything else may carry entities
+  return raw === m[1] ? decodeEntities(raw).trim() : raw.trim();
+}
+
+function attrsOf(tagSource) {
+  const attrs = {};
+  const attrRegex = /([\w:-]+)="([^"]*)"/g;
+  let a;
+  while ((a = attrRegex.exec(tagSource)) !== null) attrs[a[1]] = decodeEntities(a[2]);
+  return attrs;
+}
+
+// Atom: prefer rel="alternate" (or no rel) link over self/enclosure links
+function atomLink(entryXml) {
+  const links = Array.from(entryXml.matchAll(/<link\s([^>]*?)\/?>/gi)).map((m) => attrsOf(m[1]));
+  const alt = links.find((l) => l.href && (!l.rel || l.rel === "alternate"));
+  return (alt || links.find((l) => l.href))?.href || null;
+}
+
+function toIso(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+function parseRssItems(xml) {
+  const blocks = Array.from(xml.matchAll(/<item(?:\s[^>]*)?>([\s\S]*?)<\/item>/gi)).map((m) => m[1]);
+  return blocks.map((b) => {
+    const url = tagText(b, "link");
+    const guid = tagText(b, "guid") || url;
+    const description = tagText(b, "content:encoded") || tagText(b, "description") || "";
+    return {
+      guid,
+      title: stripHtml(tagText(b, "title") || ""),
+      url,
+      publishedAt: toIso(tagText(b, "pubDate") || tagText(b, "dc:date")),
+      description: stripHtml(description),
+    };
+  });
+}
+
+function parseAtomEntries(xml) {
+  const blocks = Array.from(xml.matchAll(/<entry(?:\s[^>]*)?>([\s\S]*?)<\/entry>/gi)).map((m) => m[1]);
+  return blocks.map((b) => {
+    const url = atomLink(b);
+    const guid = tagText(b, "id") || url;
+    const description = tagText(b, "content") || tagText(b, "summary") || "";
+    return {
+      guid,
+      title: stripHtml(tagText(b, "title") || ""),
+      url,
+      publishedAt: toIso(tagText(b, "published") || tagText(b, "updated")),
+      description: stripHtml(description),
+    };
+  });
+}
+
+/**
+ * Parse an RSS 2.0 or Atom document into normalized entries.
+ * Unknown formats yield an empty list.
+ */
+export function parseFeed(xml = "") {
+  const text = String(xml);
+  if (/<feed[\s>]/i.test(text)) return parseAtomEntries(text);
+  if (/<rss[\s>]|<rdf:RDF[\s>]/i.test(text)) return parseRssItems(text);
+  return [];
+}
+
+export async function fetchFeedEntries(feedUrl) {
+  const xml = await withFixture("feed", { url: feedUrl }, async () => {
+    const res = await fetchWithRetry(
+      feedUrl,
+      { headers: { Accept: "application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8" } },
+      { label: "Feed fetch" }
+    );
+    return res.text();
+  });
+  return parseFeed(xml);
+}
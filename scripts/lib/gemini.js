@@ -1,49 +1,106 @@
 // scripts/lib/gemini.js
 // Minimal Gemini API helper (direct).
 // Returns { text, model, tokens, rawUsage } with provider metadata.
+// embedGemini() returns { vectors, model, rawUsage } (batchEmbedContents; usage is estimated,
+// the endpoint reports none).
 
-import fetch from "node-fetch";
+import { fetchWithRetry } from "./http.js";
+import { DRY_RUN, withFixture } from "./dry-run.js";
+import { estimateTokensFromText } from "./token-usage.js";
 
 // Allow either GEMINI_API or GEMINI_API_KEY (you set GEMINI_API in Actions)
 const GEMINI_API = process.env.GEMINI_API || process.env.GEMINI_API_KEY;
-if (!GEMINI_API) {
+if (!GEMINI_API && !DRY_RUN) {
   throw new Error("GEMINI_API is required");
 }
 
-// Stable, correct model ID (avoid the old 1.5-latest name)
+// Default model when the caller (config/models.json via llm-router) doesn't name one
 const GEMINI_MODEL = "gemini-2.5-flash-lite";
 
-export async function callGemini(prompt) {
-  const url = `https://generativelanguage.googleapis.com/v1/models/${GEMINI_MODEL}:generateContent`;
+// Retries are left to the router (retries: 0); errors carry status / retryAfterMs for it
+export async function callGemini(prompt, { model = GEMINI_MODEL, timeoutMs = 120000 } = {}) {
+  return withFixture("gemini", { model, prompt }, () => requestGemini(prompt, model, timeoutMs));
+}
+
+async function requestGemini(prompt, model, timeoutMs) {
+  const url = `https://generativelanguage.googleapis.com/v1/models/${model}:generateContent`;
 
-  const res = await fetch(url, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "x-goog-api-key": GEMINI_API,
+  const res = await fetchWithRetry(
+    url,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-goog-api-key": GEMINI_API,
+      },
+      body: JSON.stringify({
+        contents: [{ parts: [{ text: prompt }] }],
+      }),
     },
-    body: JSON.stringify({
-      contents: [{ parts: [{ text: prompt }] }],
-    }),
-  });
-
-  if (!res.ok) {
-    const msg = await safeText(res);
-    throw new Error(`Gemini API error: ${res.status} ${res.statusText}${msg ? ` ${msg}` : ""}`);
-  }
+    { label: "Gemini API", retries: 0, timeoutMs }
+  );
 
   const data = await res.json();
   const text = data?.candidates?.[0]?.content?.parts?.[0]?.text?.trim() ?? "";
-  const total = data?.usageMetadata?.totalTokenCount ?? 0;
+  const meta = data?.usageMetadata ?? {};
+  const total = meta.totalTokenCount ?? 0;
 
   return {
     text,
-    model: GEMINI_MODEL,
+    model,
     tokens: total,
-    rawUsage: { total_tokens: total, provider: "gemini" },
+    rawUsage: {
+      prompt_tokens: meta.promptTokenCount,
+      completion_tokens: meta.candidatesTokenCount,
+      total_tokens: total,
+      provider: "gemini",
+    },
+  };
+}
+
+const GEMINI_EMBED_MODEL = "gemini-embedding-001";
+
+export async function embedGemini(
+  texts,
+  { model = GEMINI_EMBED_MODEL, dimensions = 768, taskType = "SEMANTIC_SIMILARITY", timeoutMs = 60000 } = {}
+) {
+  const vectors = await withFixture("gemini-embed", { model, dimensions, taskType, texts }, () =>
+    requestGeminiEmbeddings(texts, { model, dimensions, taskType, timeoutMs })
+  );
+  const promptTokens = texts.reduce((n, t) => n + estimateTokensFromText(t), 0);
+  return {
+    vectors,
+    model,
+    rawUsage: { prompt_tokens: promptTokens, completion_tokens: 0, total_tokens: promptTokens, provider: "gemini" },
   };
 }
 
-async function safeText(res) {
-  try { return await res.text(); } catch { return ""; }
+async function requestGeminiEmbeddings(texts, { model, dimensions, taskType, timeoutMs }) {
+  const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:batchEmbedContents`;
+  const data = await (
+    await fetchWithRetry(
+      url,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "x-goog-api-key": GEMINI_API,
+        },
+        body: JSON.stringify({
+          requests: texts.map((text) => ({
+            model: `models/${model}`,
+            content: { parts: [{ text }] },
+            taskType,
+            outputDimensionality: dimensions,
+          })),
+        }),
+      },
+      { label: "Gemini embeddings", retries: 0, timeoutMs }
+    )
+  ).json();
+  const vectors = (data?.embeddings || []).map((e) => e?.values || []);
+  if (vectors.length !== texts.length) {
+    throw new Error(`Gemini embeddings: expected ${texts.length} vectors, got ${vectors.length}`);
+  }
+  return vectors;
 }
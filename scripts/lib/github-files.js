@@ -1,14 +1,19 @@
 // scripts/lib/github-files.js
 // Provides helpers to upsert (create or update) files in the knowledgebase repo
 // using the GitHub REST API. Requires KNOWLEDGEBASE_TOKEN in secrets.
+//  - upsertFile()   → one file, one commit (Contents API)
+//  - commitFiles()  → many files, one commit (Git trees/commits API)
 
-import fetch from "node-fetch";
+import { fetchWithRetry } from "./http.js";
+import { DRY_RUN } from "./dry-run.js";
 
 const owner = "VibesTribe";
 const repo = "knowledgebase";
+const branch = "main";
 const token = process.env.KNOWLEDGEBASE_TOKEN;
 
-if (!token) {
+// Dry-run never reaches GitHub: kb-sync writes commits to the local outbox instead
+if (!token && !DRY_RUN) {
   throw new Error("Missing KNOWLEDGEBASE_TOKEN env var");
 }
 
@@ -21,41 +26,105 @@ export async function upsertFile({ path, content, message = "Update file" }) {
     path
   )}`;
 
-  // Check if file exists
-  const getResp = await fetch(apiUrl, {
-    headers: { Authorization: `token ${token}`, Accept: "application/vnd.github.v3+json" },
-  });
-
+  // Check if file exists (404 → create)
   let sha = null;
-  if (getResp.ok) {
+  try {
+    const getResp = await fetchWithRetry(
+      apiUrl,
+      { headers: { Authorization: `token ${token}`, Accept: "application/vnd.github.v3+json" } },
+      { label: `GitHub lookup for ${path}` }
+    );
     const json = await getResp.json();
     if (json && json.sha) sha = json.sha;
+  } catch (err) {
+    if (err.status !== 404) throw err;
   }
 
   // Prepare payload
   const payload = {
     message,
     content: Buffer.from(content).toString("base64"),
-    branch: "main",
+    branch,
     ...(sha ? { sha } : {}),
   };
 
   // PUT to GitHub
-  const putResp = await fetch(apiUrl, {
-    method: "PUT",
-    headers: {
-      Authorization: `token ${token}`,
-      Accept: "application/vnd.github.v3+json",
+  const putResp = await fetchWithRetry(
+    apiUrl,
+    {
+      method: "PUT",
+      headers: {
+        Authorization: `token ${token}`,
+        Accept: "application/vnd.github.v3+json",
+      },
+      body: JSON.stringify(payload),
     },
-    body: JSON.stringify(payload),
-  });
-
-  if (!putResp.ok) {
-    const text = await putResp.text();
-    throw new Error(`GitHub upsert failed for ${path}: ${putResp.status} ${text}`);
-  }
+    { label: `GitHub upsert for ${path}` }
+  );
 
   const result = await putResp.json();
   console.log(`✅ Upserted ${path} (${sha ? "updated" : "created"})`);
   return result;
 }
+
+async function gitApi(method, apiPath, body) {
+  // Errors keep err.status, so commitFiles() can still tell a 422 ref race apart
+  const res = await fetchWithRetry(
+    `https://api.github.com/repos/${owner}/${repo}/git/${apiPath}`,
+    {
+      method,
+      headers: {
+        Authorization: `token ${token}`,
+        Accept: "application/vnd.github.v3+json",
+        ...(body ? { "Content-Type": "application/json" } : {}),
+      },
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    },
+    { label: `GitHub ${method} git/${apiPath}` }
+  );
+  return res.json();
+}
+
+async function commitOnce(files, message) {
+  const ref = await gitApi("GET", `ref/heads/${branch}`);
+  const parentSha = ref.object.sha;
+  const parent = await gitApi("GET", `commits/${parentSha}`);
+
+  const tree = [];
+  for (const f of files) {
+    const blob = await gitApi("POST", "blobs", {
+      content: Buffer.from(f.content).toString("base64"),
+      encoding: "base64",
+    });
+    tree.push({ path: f.path, mode: "100644", type: "blob", sha: blob.sha });
+  }
+
+  const newTree = await gitApi("POST", "trees", { base_tree: parent.tree.sha, tree });
+  const commit = await gitApi("POST", "commits", {
+    message,
+    tree: newTree.sha,
+    parents: [parentSha],
+  });
+  await gitApi("PATCH", `refs/heads/${branch}`, { sha: commit.sha, force: false });
+  return commit;
+}
+
+/**
+ * Write several files to the GitHub repo as a single commit.
+ * `files` is an array of { path, content }. Retries once if the branch moved
+ * underneath us (non-fast-forward ref update).
+ */
+export async function commitFiles({ files, message = "Update files" }) {
+  if (!Array.isArray(files) || !files.length) return null;
+
+  let commit;
+  try {
+    commit = await commitOnce(files, message);
+  } catch (err) {
+    if (err.status !== 422) throw err;
+    commit = await commitOnce(files, message);
+  }
+
+  console.log(`✅ Committed ${files.length} file(s) in ${commit.sha.slice(0, 7)}: ${message}`);
+  return commit;
+}
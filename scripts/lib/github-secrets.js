@@ -4,7 +4,7 @@
 // - Uses ACTIONS_PAT if present; falls back to GITHUB_TOKEN
 // - Encrypts values with the repo's public key (tweetsodium)
 
-import fetch from "node-fetch";
+import { fetchWithRetry } from "./http.js";
 import sodium from "tweetsodium"; // yes, deprecated, but matches your existing stack
 
 const REPO_SLUG = process.env.GITHUB_REPOSITORY || ""; // owner/repo
@@ -35,14 +35,18 @@ async function githubFetch(path, init = {}, coords) {
   }
   const { owner, repo } = repoCoords(coords);
   const url = `https://api.github.com/repos/${owner}/${repo}${path}`;
-  const res = await fetch(url, {
-    ...init,
-    headers: {
-      Accept: "application/vnd.github+json",
-      Authorization: `token ${token}`,
-      ...(init.headers || {}),
+  const res = await fetchWithRetry(
+    url,
+    {
+      ...init,
+      headers: {
+        Accept: "application/vnd.github+json",
+        Authorization: `token ${token}`,
+        ...(init.headers || {}),
+      },
     },
-  });
+    { label: `GitHub ${init.method || "GET"} ${path}` }
+  );
   return res;
 }
 
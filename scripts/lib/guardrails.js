@@ -1,99 +1,221 @@
 // scripts/lib/guardrails.js
+// Per-run spend guardrails for every LLM call.
+//  - Cost = tokens × per-model price (USD per token) from config/model-prices.json
+//    (refresh OpenRouter prices with `node scripts/list-openrouter-models.js --write-prices`).
+//    `:free` models and the local provider cost nothing; unknown models fall back to the caller's
+//    price (router chain entry) and then to a deliberately pessimistic default.
+//  - Before a call the cost is estimated from the prompt plus an output allowance; the call is
+//    refused when that estimate exceeds MAX_CALL_COST_USD or the provider's remaining spend cap.
+//  - After a call the actual cost is computed from rawUsage tokens and attached as `costUsd`.
+//  - Every call is also written to the persistent budget ledger (lib/budget-ledger.js). When a call
+//    would overrun a daily/weekly/monthly budget (counting the estimates of calls still in flight),
+//    safeCall throws an error with `budgetExhausted: true`; stages stop cleanly on it instead of
+//    counting fail-fast failures.
 
-import fs from "node:fs/promises";
+import fs from "node:fs";
 import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { openKnowledgeStore } from "./knowledge-store.js";
+import { estimateTokensFromText } from "./token-usage.js";
+import { recordSpend, checkBudget, releaseBudget } from "./budget-ledger.js";
 
-const ROOT = path.resolve(process.cwd(), "data");
-const KNOWLEDGE_FILE = path.join(ROOT, "knowledge.json");
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PRICES_PATH = path.resolve(__dirname, "..", "..", "config", "model-prices.json");
 
-const CAPS = {
-  openai: Number(process.env.MAX_OPENAI_CALLS_PER_RUN ?? 100),
-  gemini: Number(process.env.MAX_GEMINI_CALLS_PER_RUN ?? 500),
+// Spend caps in USD per run
+const SPEND_CAPS = {
+  openai: Number(process.env.MAX_OPENAI_SPEND ?? 2),
+  gemini: Number(process.env.MAX_GEMINI_SPEND ?? 2),
   deepseek: Number(process.env.MAX_DEEPSEEK_SPEND ?? 2),
   openrouter: Number(process.env.MAX_OPENROUTER_SPEND ?? 5),
+  local: Infinity,
+};
+
+// Call-count caps per run (kept for providers with request quotas)
+const CALL_CAPS = {
+  openai: Number(process.env.MAX_OPENAI_CALLS_PER_RUN ?? 100),
+  gemini: Number(process.env.MAX_GEMINI_CALLS_PER_RUN ?? 500),
+  local: Number(process.env.MAX_LOCAL_CALLS_PER_RUN ?? 10000),
 };
 
-// Direct safelist for providers we call *outside* OpenRouter
-const SAFE_MODELS = new Set([
-  "gpt-5-nano",
-  "gpt-5-mini",
-  "gpt-4.0-mini",
-  "gemini-2.5-flash-lite",
-  "deepseek-chat",
-  "rotation", // special wrapper
-]);
+const MAX_CALL_COST_USD = Number(process.env.MAX_CALL_COST_USD ?? 0.25);
+// Output tokens assumed when estimating a call before it is made
+const EST_OUTPUT_TOKENS = Number(process.env.GUARDRAIL_EST_OUTPUT_TOKENS ?? 1500);
+// ~$10 / $30 per million tokens: overestimates rather than lets an unpriced model run free
+const UNKNOWN_PRICE = { input: 0.00001, output: 0.00003 };
+
+// Providers we call *outside* OpenRouter may only use models priced in config/model-prices.json
+// (direct-provider entries are the ones without a "vendor/" prefix), so the safelist and the price
+// table cannot drift apart. "rotation" is the router's wrapper name, not a model.
+const SAFE_WRAPPERS = new Set(["rotation"]);
+
+const spend = { openai: 0, gemini: 0, deepseek: 0, openrouter: 0, local: 0 };
+const calls = { openai: 0, gemini: 0, deepseek: 0, openrouter: 0, local: 0 };
 
-let usage = { openai: 0, gemini: 0, deepseek: 0, openrouter: 0 };
+let priceTable = null;
+const warnedUnpriced = new Set();
 
-async function loadKnowledge() {
+function loadPriceTable() {
+  if (priceTable) return priceTable;
   try {
-    return JSON.parse(await fs.readFile(KNOWLEDGE_FILE, "utf8"));
-  } catch {
-    return [];
+    priceTable = JSON.parse(fs.readFileSync(PRICES_PATH, "utf8"))?.models ?? {};
+  } catch (err) {
+    console.warn(`⚠️ guardrails: could not read ${PRICES_PATH} (${err.message}); using fallback prices`);
+    priceTable = {};
   }
+  return priceTable;
 }
-async function saveKnowledge(data) {
-  await fs.writeFile(KNOWLEDGE_FILE, JSON.stringify(data, null, 2), "utf8");
+
+function asPrice(p) {
+  if (!p) return null;
+  const input = Number(p.input);
+  const output = Number(p.output);
+  return Number.isFinite(input) && Number.isFinite(output) ? { input, output } : null;
+}
+
+/**
+ * USD per input/output token for a model.
+ * @param {string} provider
+ * @param {string} model
+ * @param {{input:number, output:number}} [fallback] - used when the table has no entry
+ */
+export function priceFor(provider, model, fallback = null) {
+  if (provider === "local" || String(model).endsWith(":free")) return { input: 0, output: 0 };
+  const table = loadPriceTable();
+  const known = asPrice(table[model]) || asPrice(table[`${provider}/${model}`]);
+  if (known) return known;
+  const given = asPrice(fallback);
+  if (given) return given;
+  const key = `${provider}/${model}`;
+  if (!warnedUnpriced.has(key)) {
+    warnedUnpriced.add(key);
+    console.warn(`⚠️ guardrails: no price for ${key}; assuming a pessimistic default`);
+  }
+  return UNKNOWN_PRICE;
+}
+
+export function costOf(price, inputTokens = 0, outputTokens = 0) {
+  return inputTokens * price.input + outputTokens * price.output;
+}
+
+// Tokens of a finished call from provider-reported usage (estimates fill the gaps)
+function actualTokens(rawUsage, prompt, text) {
+  const u = rawUsage || {};
+  const input = u.prompt_tokens ?? estimateTokensFromText(prompt);
+  let output = u.completion_tokens;
+  if (output == null) {
+    output = u.total_tokens ? Math.max(0, u.total_tokens - input) : estimateTokensFromText(text);
+  }
+  return { input, output };
 }
 
 function ensureSafeModel(model, provider) {
   // ✅ Allow any OpenRouter model (we rely on rotation + caps there)
   if (provider === "openrouter") return;
+  // ✅ Local models are whatever the self-hosted server has pulled; they cost nothing
+  if (provider === "local") return;
 
-  // For direct providers, require explicit safelist
-  if (!SAFE_MODELS.has(model)) {
+  // For direct providers, require a hand-maintained price entry
+  const priced = !String(model).includes("/") && Object.hasOwn(loadPriceTable(), model);
+  if (!priced && !SAFE_WRAPPERS.has(model)) {
     throw new Error(`❌ Unsafe model requested: ${provider}/${model}`);
   }
 }
 
-function checkCaps(provider, estCost = 0) {
-  if (provider === "openai" && usage.openai >= CAPS.openai) return false;
-  if (provider === "gemini" && usage.gemini >= CAPS.gemini) return false;
-  if (provider === "deepseek" && usage.deepseek + estCost > CAPS.deepseek) return false;
-  if (provider === "openrouter" && usage.openrouter + estCost > CAPS.openrouter) return false;
-  return true;
+function capReason(provider, estCost) {
+  if (estCost > MAX_CALL_COST_USD) {
+    return `estimated $${estCost.toFixed(4)} exceeds MAX_CALL_COST_USD $${MAX_CALL_COST_USD}`;
+  }
+  const callCap = CALL_CAPS[provider];
+  if (callCap !== undefined && calls[provider] >= callCap) return `call cap ${callCap} reached`;
+  const spendCap = SPEND_CAPS[provider] ?? 0;
+  if ((spend[provider] ?? 0) + estCost > spendCap) {
+    return `spend cap $${spendCap} reached ($${(spend[provider] ?? 0).toFixed(4)} spent)`;
+  }
+  return null;
 }
 
-function recordUsage(provider, estCost = 0) {
-  if (provider in usage) usage[provider] += estCost || 1;
+export function getSpend() {
+  return { spend: { ...spend }, calls: { ...calls } };
 }
 
 /**
  * Safely wrap any API call with guardrails.
  * @param {Object} options
- * @param {"openai"|"gemini"|"deepseek"|"openrouter"} options.provider
+ * @param {"openai"|"gemini"|"deepseek"|"openrouter"|"local"} options.provider
  * @param {string} options.model
  * @param {function} options.fn - Async function that performs the actual call
- * @param {number} [options.estCost=0]
+ * @param {string} [options.prompt]   - used for the up-front estimate and as a token fallback
+ * @param {string[]} [options.models] - candidate models (rotation): estimate uses the priciest
+ * @param {{input:number, output:number}} [options.price] - fallback price for unlisted models
+ * @param {string} [options.stage]    - recorded in the budget ledger
+ * @returns {Promise<object|null>} fn's result with `costUsd`, or null when a per-run cap refuses it
+ * @throws {Error} with `budgetExhausted: true` when a rolling budget would be overrun
  */
-export async function safeCall({ provider, model, fn, estCost = 0 }) {
+export async function safeCall({ provider, model, fn, prompt = "", models = null, price = null, stage = null }) {
   ensureSafeModel(model, provider);
-  if (!checkCaps(provider, estCost)) {
-    console.log(`⚠️ Skipped ${provider}/${model} (cap reached)`);
+
+  const candidates = Array.isArray(models) && models.length ? models : [model];
+  const inputEst = estimateTokensFromText(prompt);
+  const estCost = Math.max(
+    ...candidates.map((m) => costOf(priceFor(provider, m, price), inputEst, EST_OUTPUT_TOKENS))
+  );
+  const refused = capReason(provider, estCost);
+  if (refused) {
+    console.log(`⚠️ Skipped ${provider}/${model} (${refused})`);
     return null;
   }
-  const result = await fn();
-  recordUsage(provider, estCost);
-  return result;
+  const overrun = await checkBudget(estCost); // reserves estCost when the call fits
+  if (overrun) {
+    const msg = `${overrun.name} budget exhausted ($${overrun.spent.toFixed(4)} of $${overrun.limit} spent)`;
+    console.log(`⛔ Refused ${provider}/${model}: ${msg}`);
+    throw Object.assign(new Error(msg), { budgetExhausted: true, window: overrun.name });
+  }
+
+  calls[provider] = (calls[provider] ?? 0) + 1;
+  let result;
+  try {
+    result = await fn();
+  } catch (err) {
+    releaseBudget(estCost);
+    throw err;
+  }
+  const usedModel = result?.model || model;
+  const tokens = actualTokens(result?.rawUsage, prompt, result?.text);
+  const costUsd = costOf(priceFor(provider, usedModel, price), tokens.input, tokens.output);
+  spend[provider] = (spend[provider] ?? 0) + costUsd;
+  await recordSpend({
+    provider,
+    model: usedModel,
+    stage,
+    inputTokens: tokens.input,
+    outputTokens: tokens.output,
+    costUsd,
+    reservedUsd: estCost,
+  });
+  return result && typeof result === "object" ? { ...result, costUsd } : result;
 }
 
-// --- Knowledge scaffolding remains unchanged ---
+// --- Knowledge scaffolding (persists through the shared knowledge store) ---
 export async function processItem(item, { summarize, classify }) {
-  const kb = await loadKnowledge();
+  const store = await openKnowledgeStore();
+  try {
+    if (!item.summary) {
+      item.summary = await summarize(item.text);
+      item.status = "summarized";
+      await store.upsert(item);
+    }
 
-  if (!item.summary) {
-    item.summary = await summarize(item.text);
-    item.status = "summarized";
-    await saveKnowledge([...kb.filter(x => x.id !== item.id), item]);
-  }
+    if (!item.classification) {
+      item.classification = await classify(item.summary);
+      item.status = "classified";
+      await store.upsert(item);
+    }
 
-  if (!item.classification) {
-    item.classification = await classify(item.summary);
-    item.status = "classified";
-    await saveKnowledge([...kb.filter(x => x.id !== item.id), item]);
+    item.status = "done";
+    await store.upsert(item);
+    return item;
+  } finally {
+    await store.close();
   }
-
-  item.status = "done";
-  await saveKnowledge([...kb.filter(x => x.id !== item.id), item]);
-  return item;
 }
@@ -0,0 +1,145 @@
+// scripts/lib/http.js
+// Shared fetch wrapper for every outbound HTTP client (LLM providers, Raindrop, YouTube, feeds, GitHub).
+//  - per-attempt timeout via AbortController, covering the response body as well: the timer keeps
+//    running until the body has been read (res.json()/res.text() cannot hang past timeoutMs)
+//  - retries with jittered exponential backoff; Retry-After (seconds or HTTP date) wins when present
+//    and is honored in full. A Retry-After beyond HTTP_RETRY_AFTER_MAX_MS fails the request at once
+//    instead of retrying early against a server that asked us to stay away.
+//  - error classification: network errors, timeouts, 408, 425, 429 and 5xx are retryable; other
+//    non-2xx responses are fatal and thrown immediately
+//  - non-idempotent requests ({ idempotent: false }, e.g. sending an email) are only retried when
+//    the connection was never established, so the server cannot have acted on the first attempt
+//
+// Thrown errors are plain Errors carrying { status, retryable, retryAfterMs, body } (status is null
+// for network/timeout failures), so callers can branch on err.status like gitApi() already did.
+//
+// Defaults (env): HTTP_RETRIES=3, HTTP_TIMEOUT_MS=30000, HTTP_RETRY_BASE_MS=500, HTTP_RETRY_MAX_MS=30000
+// (backoff cap), HTTP_RETRY_AFTER_MAX_MS=600000 (longest Retry-After worth waiting for)
+
+import fetch from "node-fetch";
+
+const DEFAULTS = {
+  retries: Number(process.env.HTTP_RETRIES ?? 3),
+  timeoutMs: Number(process.env.HTTP_TIMEOUT_MS ?? 30000),
+  baseDelayMs: Number(process.env.HTTP_RETRY_BASE_MS ?? 500),
+  maxDelayMs: Number(process.env.HTTP_RETRY_MAX_MS ?? 30000),
+  maxRetryAfterMs: Number(process.env.HTTP_RETRY_AFTER_MAX_MS ?? 600000),
+};
+
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+// Failures before the request reached the server (safe to resend even for a POST)
+const NOT_SENT_CODES = new Set(["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN", "EHOSTUNREACH", "ENETUNREACH"]);
+
+export function isRetryableStatus(status) {
+  return RETRYABLE_STATUS.has(status) || (status >= 500 && status <= 599);
+}
+
+// Retry-After: delta-seconds or an HTTP date → ms (null when absent/unparseable)
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const exp = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(exp / 2 + Math.random() * (exp / 2)); // "equal jitter"
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+async function safeText(res) {
+  try { return await res.text(); } catch { return ""; }
+}
+
+function httpError(label, { status = null, statusText = "", body = "", retryable, retryAfterMs = null, sent = true, cause }) {
+  const detail = status ? `${status}${statusText ? ` ${statusText}` : ""}${body ? ` ${body.slice(0, 400)}` : ""}` : cause?.message;
+  const err = new Error(`${label} failed: ${detail}`);
+  return Object.assign(err, { status, retryable, retryAfterMs, body, sent });
+}
+
+// Stop the attempt timer once the body has been consumed (or failed); until then it can abort the read
+function clearWhenBodyDone(res, timer) {
+  const body = res.body;
+  if (!body || body.readableEnded || body.destroyed) {
+    clearTimeout(timer);
+    return;
+  }
+  const done = () => clearTimeout(timer);
+  body.once("end", done);
+  body.once("close", done);
+  body.once("error", done);
+  timer.unref?.(); // an unread body must not keep the process alive
+}
+
+/**
+ * fetch() with timeout, retries and error classification. Resolves only with an ok (2xx) Response.
+ * @param {string} url
+ * @param {object} [init]            - node-fetch init (method, headers, body, ...)
+ * @param {object} [options]
+ * @param {string} [options.label]   - prefix for error messages, e.g. "Raindrop fetch"
+ * @param {number} [options.retries]
+ * @param {number} [options.timeoutMs]
+ * @param {number} [options.baseDelayMs]
+ * @param {number} [options.maxDelayMs]      - cap for computed backoff delays
+ * @param {number} [options.maxRetryAfterMs] - longer Retry-After values fail instead of waiting
+ * @param {boolean} [options.idempotent] - false: retry only when the request was never sent
+ *                                         (default true)
+ */
+export async function fetchWithRetry(url, init = {}, options = {}) {
+  const opts = { ...DEFAULTS, label: "HTTP request", idempotent: true, ...options };
+  let lastErr = null;
+
+  for (let attempt = 0; attempt <= opts.retries; attempt++) {
+    if (attempt > 0) {
+      // backoffDelay() is capped by maxDelayMs; a Retry-After is not
+      await sleep(lastErr?.retryAfterMs ?? backoffDelay(attempt - 1, opts));
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), opts.timeoutMs);
+    let bodyPending = false;
+    try {
+      const res = await fetch(url, { ...init, signal: controller.signal });
+      if (res.ok) {
+        clearWhenBodyDone(res, timer);
+        bodyPending = true;
+        return res;
+      }
+
+      const body = await safeText(res);
+      lastErr = httpError(opts.label, {
+        status: res.status,
+        statusText: res.statusText,
+        body,
+        retryable: isRetryableStatus(res.status),
+        retryAfterMs: parseRetryAfter(res.headers.get("retry-after")),
+      });
+    } catch (err) {
+      const timedOut = err?.name === "AbortError";
+      lastErr = httpError(opts.label, {
+        retryable: true,
+        sent: timedOut || !NOT_SENT_CODES.has(err?.code),
+        cause: timedOut ? new Error(`timed out after ${opts.timeoutMs}ms`) : err,
+      });
+    } finally {
+      if (!bodyPending) clearTimeout(timer);
+    }
+
+    if (!lastErr.retryable) throw lastErr;
+    if (!opts.idempotent && lastErr.sent) throw lastErr; // a resend could repeat the side effect
+    if (lastErr.retryAfterMs > opts.maxRetryAfterMs) throw lastErr;
+  }
+
+  throw lastErr;
+}
+
+// Convenience: fetchWithRetry + JSON body
+export async function fetchJson(url, init = {}, options = {}) {
+  const res = await fetchWithRetry(url, init, options);
+  return res.json();
+}
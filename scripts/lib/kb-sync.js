@@ -2,22 +2,70 @@
 // Centralized upstream writes to the VibesTribe/knowledgebase repo.
 // Provides:
 //  - pullKnowledge()                           → pull knowledge.json before a run
-//  - pushUpdate(localPath, remotePath, msg)    → per-item incremental writes
+//  - pushUpdate(localPath, remotePath, msg)    → per-item incremental writes (batched by default)
+//  - flushPending(msg)                         → commit all queued files as one commit
 //  - syncKnowledge()                           → push data/knowledge.json
+//  - syncKnowledgeGraph()                      → push data/knowledge.graph.json
 //  - syncCuratedRun(dir)                       → push files in curated dir
 //  - syncDigest(digestResult)                  → push digest JSON/TXT/HTML
+//  - pullBudgetLedger() / syncBudgetLedger()   → carry the spend ledger across CI runs
+//                                                (state/budget-ledger.json upstream)
+//
+// Batching (KB_SYNC_MODE=batch, default):
+//  - pushUpdate() only records remotePath → localPath; the local file is already
+//    checkpointed on disk, so nothing is lost if a push is deferred.
+//  - Open knowledge stores are flushed before local files are read, so a queued
+//    knowledge.json is never pushed with writes still held by the store.
+//  - The queue is flushed as one Git commit when it holds KB_SYNC_BATCH_MAX_FILES
+//    distinct files, when the oldest entry is older than KB_SYNC_BATCH_MAX_AGE_MS,
+//    at the end of each stage, and before the process exits.
+//  - One flush runs at a time: a flush requested while another is in flight waits for it and
+//    then commits whatever is still queued; a size/age-triggered flush from pushUpdate() just
+//    waits (its file goes out with the next flush).
+//  - KB_SYNC_MODE=per-item restores the previous one-commit-per-write behaviour; those writes
+//    run one at a time too (concurrent Contents API updates of one file conflict).
+//
+// Dry-run (--dry-run / KB_DRY_RUN=1):
+//  - pullKnowledge() seeds from fixtures/knowledge.json (if present); pullProjects() is a no-op
+//  - commits are always batched and written to <data>/outbox/knowledgebase/ instead of GitHub
 
 import path from "node:path";
 import fs from "node:fs/promises";
 import { fileURLToPath } from "node:url";
-import { upsertFile } from "./github-files.js";
+import { upsertFile, commitFiles } from "./github-files.js";
 import { Octokit } from "octokit";
+import { flushOpenStores } from "./knowledge-store.js";
+import { DATA_DIR, DRY_RUN_OUTBOX } from "./paths.js";
+import { DRY_RUN, FIXTURES_DIR } from "./dry-run.js";
+import { LEDGER_FILE, mergeLedgerEntries } from "./budget-ledger.js";
+import { createSerialQueue } from "./scheduler.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.resolve(__dirname, "..", "..");
-const DATA = path.join(ROOT, "data");
+const DATA = DATA_DIR;
 const PROJECTS_DIR = path.join(ROOT, "projects");
 
+const SYNC_MODE = (process.env.KB_SYNC_MODE || "batch").toLowerCase();
+const BATCH_MAX_FILES = Number(process.env.KB_SYNC_BATCH_MAX_FILES ?? 25);
+const BATCH_MAX_AGE_MS = Number(process.env.KB_SYNC_BATCH_MAX_AGE_MS ?? 120000);
+
+// remotePath -> { localPath, message }; latest local content is read at flush time
+const pending = new Map();
+const LEDGER_REMOTE = "state/budget-ledger.json";
+let pendingSince = null;
+let flushing = null; // in-flight flush promise
+const directWrites = createSerialQueue(); // per-item mode upserts
+let exitHookInstalled = false;
+
+async function getRepoFile(octokit, { owner, repo, path: filePath }) {
+  const res = await octokit.rest.repos.getContent({ owner, repo, path: filePath });
+  const raw = Array.isArray(res.data) ? null : res.data;
+  if (!raw || typeof raw.content !== "string") {
+    throw new Error(`Unexpected response when fetching ${filePath}`);
+  }
+  return Buffer.from(raw.content, raw.encoding || "base64").toString("utf8");
+}
+
 // --- NEW: Pull the source-of-truth knowledge.json from knowledgebase repo
 export async function pullKnowledge() {
   const local = path.join(DATA, "knowledge.json");
@@ -25,6 +73,18 @@ export async function pullKnowledge() {
   const repo = "knowledgebase";
   const filePath = "knowledge.json";
 
+  if (DRY_RUN) {
+    const seed = path.join(FIXTURES_DIR, "knowledge.json");
+    try {
+      await fs.mkdir(DATA, { recursive: true });
+      await fs.copyFile(seed, local);
+      console.log(`🧪 dry-run: seeded knowledge.json from ${seed}`);
+    } catch {
+      console.log("🧪 dry-run: no fixtures/knowledge.json; using local data as-is");
+    }
+    return;
+  }
+
   const token = process.env.ACTIONS_PAT;
   if (!token) {
     console.warn("⚠️ ACTIONS_PAT missing; cannot pull knowledge.json from knowledgebase repo.");
@@ -34,14 +94,9 @@ export async function pullKnowledge() {
   const octokit = new Octokit({ auth: token });
 
   try {
-    const res = await octokit.rest.repos.getContent({ owner, repo, path: filePath });
-    const raw = Array.isArray(res.data) ? null : res.data;
-    if (!raw || typeof raw.content !== "string") {
-      throw new Error("Unexpected response when fetching knowledge.json");
-    }
-    const buf = Buffer.from(raw.content, raw.encoding || "base64");
+    const content = await getRepoFile(octokit, { owner, repo, path: filePath });
     await fs.mkdir(DATA, { recursive: true });
-    await fs.writeFile(local, buf.toString("utf8"), "utf8");
+    await fs.writeFile(local, content, "utf8");
     console.log(`✅ Pulled knowledge.json from ${owner}/${repo} → ${local}`);
   } catch (err) {
     console.error("❌ pullKnowledge failed:", err.message);
@@ -49,11 +104,45 @@ export async function pullKnowledge() {
   }
 }
 
+// Spend ledger from earlier runs, merged into the local one (a missing upstream copy is not an error)
+export async function pullBudgetLedger() {
+  if (DRY_RUN) {
+    console.log("🧪 dry-run: using local budget ledger as-is");
+    return;
+  }
+
+  const token = process.env.ACTIONS_PAT;
+  if (!token) {
+    console.warn("⚠️ ACTIONS_PAT missing; budget ledger only covers local runs.");
+    return;
+  }
+
+  const octokit = new Octokit({ auth: token });
+  let content;
+  try {
+    content = await getRepoFile(octokit, { owner: "VibesTribe", repo: "knowledgebase", path: LEDGER_REMOTE });
+  } catch (err) {
+    if (err.status === 404) {
+      console.log(`ℹ️ No ${LEDGER_REMOTE} upstream yet; starting a new ledger`);
+      return;
+    }
+    console.error("❌ pullBudgetLedger failed:", err.message);
+    throw err;
+  }
+  const added = await mergeLedgerEntries(JSON.parse(content)?.entries);
+  console.log(`✅ Pulled ${LEDGER_REMOTE} (${added} entr${added === 1 ? "y" : "ies"} merged)`);
+}
+
 export async function pullProjects() {
   const owner = "VibesTribe";
   const repo = "knowledgebase";
   const rootPath = "projects";
 
+  if (DRY_RUN) {
+    console.log("🧪 dry-run: using local projects/ as-is");
+    return;
+  }
+
   const token = process.env.ACTIONS_PAT;
   if (!token) {
     console.warn("⚠️ ACTIONS_PAT missing; cannot pull projects from knowledgebase repo.");
@@ -96,18 +185,127 @@ export async function pullProjects() {
   console.log(`✅ Pulled projects from ${owner}/${repo} → ${PROJECTS_DIR}`);
 }
 
-// Per-item / per-file update (incremental persistence)
-export async function pushUpdate(localPath, remotePath, message = "Update file") {
+function isBatchMode() {
+  return SYNC_MODE !== "per-item" || DRY_RUN;
+}
+
+// Dry-run stand-in for commitFiles(): mirror the files and log the commit locally
+async function writeOutboxCommit({ files, message }) {
+  const root = path.join(DRY_RUN_OUTBOX, "knowledgebase");
+  for (const f of files) {
+    const target = path.join(root, f.path);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, f.content, "utf8");
+  }
+  const entry = { at: new Date().toISOString(), message, files: files.map((f) => f.path) };
+  await fs.appendFile(path.join(DRY_RUN_OUTBOX, "commits.jsonl"), JSON.stringify(entry) + "\n", "utf8");
+  return { sha: null, dryRun: true };
+}
+
+function installExitHook() {
+  if (exitHookInstalled) return;
+  exitHookInstalled = true;
+  // beforeExit fires once the event loop drains, so async work is allowed here.
+  // (process.exit() skips it — callers that exit explicitly flush first.)
+  // Only try once: a failed flush schedules work, which would re-trigger beforeExit.
+  process.once("beforeExit", async () => {
+    if (!pending.size) return;
+    try {
+      await flushPending("Flush pending updates on exit");
+    } catch {
+      // already logged in flushPending
+    }
+  });
+}
+
+/**
+ * Commit every queued file as a single commit. Safe to call when nothing is queued.
+ * On failure the queue is kept so a later flush can retry, and the error is rethrown.
+ */
+export async function flushPending(message) {
+  while (flushing) {
+    try {
+      await flushing;
+    } catch {
+      // that flush logged its own failure; its files are still queued for this one
+    }
+  }
+  if (!pending.size) return null;
+
+  flushing = commitPending(message);
+  try {
+    return await flushing;
+  } finally {
+    flushing = null;
+  }
+}
+
+async function commitPending(message) {
+  await flushOpenStores();
+  const entries = Array.from(pending.entries());
+  const files = [];
+  for (const [remotePath, { localPath }] of entries) {
+    try {
+      files.push({ path: remotePath, content: await fs.readFile(localPath, "utf8") });
+    } catch (err) {
+      console.warn(`⚠️ flushPending: skipping unreadable ${localPath}: ${err.message}`);
+    }
+  }
+
+  const summary =
+    message ||
+    (entries.length === 1 ? entries[0][1].message : `Batch update (${entries.length} files)`);
+
   try {
-    const content = await fs.readFile(localPath, "utf8");
-    await upsertFile({ path: remotePath, content, message });
-    console.log(`✅ pushUpdate: ${localPath} → ${remotePath}`);
+    const commit = DRY_RUN
+      ? await writeOutboxCommit({ files, message: summary })
+      : await commitFiles({ files, message: summary });
+    // Only drop what we committed; pushUpdate() may have queued more meanwhile
+    for (const [remotePath, queued] of entries) {
+      if (pending.get(remotePath) === queued) pending.delete(remotePath);
+    }
+    pendingSince = pending.size ? Date.now() : null;
+    console.log(`✅ flushPending: ${files.length} file(s) ${DRY_RUN ? "written to outbox" : "committed"}`);
+    return commit;
   } catch (err) {
-    console.error(`❌ pushUpdate failed for ${localPath}:`, err.message);
+    console.error(`❌ flushPending failed (${entries.length} file(s) kept queued):`, err.message);
     throw err;
   }
 }
 
+// Per-item / per-file update (incremental persistence)
+export async function pushUpdate(localPath, remotePath, message = "Update file") {
+  if (isBatchMode()) {
+    installExitHook();
+    pending.set(remotePath, { localPath, message });
+    if (!pendingSince) pendingSince = Date.now();
+
+    const tooMany = pending.size >= BATCH_MAX_FILES;
+    const tooOld = Date.now() - pendingSince >= BATCH_MAX_AGE_MS;
+    if (tooMany || tooOld) {
+      try {
+        // Another worker's flush already covers the queue; don't start a second one behind it
+        await (flushing ?? flushPending());
+      } catch {
+        // Local checkpoint is intact and the file stays queued; retry on the next flush
+      }
+    }
+    return;
+  }
+
+  await directWrites(async () => {
+    try {
+      await flushOpenStores();
+      const content = await fs.readFile(localPath, "utf8");
+      await upsertFile({ path: remotePath, content, message });
+      console.log(`✅ pushUpdate: ${localPath} → ${remotePath}`);
+    } catch (err) {
+      console.error(`❌ pushUpdate failed for ${localPath}:`, err.message);
+      throw err;
+    }
+  });
+}
+
 // knowledge.json
 export async function syncKnowledge() {
   const local = path.join(DATA, "knowledge.json");
@@ -115,6 +313,23 @@ export async function syncKnowledge() {
   await pushUpdate(local, remote, "Update knowledge.json");
 }
 
+// Spend ledger (only when this process has one; nothing to push after a run without guarded calls)
+export async function syncBudgetLedger() {
+  try {
+    await fs.access(LEDGER_FILE);
+  } catch {
+    return;
+  }
+  await pushUpdate(LEDGER_FILE, LEDGER_REMOTE, "Update budget ledger");
+}
+
+// knowledge.graph.json (built by publish.js)
+export async function syncKnowledgeGraph() {
+  const local = path.join(DATA, "knowledge.graph.json");
+  const remote = "knowledge.graph.json";
+  await pushUpdate(local, remote, "Update knowledge.graph.json");
+}
+
 // curated/latest/*
 export async function syncCuratedRun(curatedDir) {
   const remoteDir = "curated";
@@ -125,6 +340,7 @@ export async function syncCuratedRun(curatedDir) {
       const remotePath = path.join(remoteDir, f);
       await pushUpdate(localPath, remotePath, `Update curated/${f}`);
     }
+    await flushPending("Update curated run");
   } catch (err) {
     console.error("❌ syncCuratedRun failed:", err.message);
     throw err;
@@ -146,6 +362,7 @@ export async function syncDigest(digestResult) {
       const remotePath = relFromData; // e.g. "digest/2025-09-29/…/digest.json"
       await pushUpdate(filePath, remotePath, `Update ${remotePath}`);
     }
+    await flushPending(`Update digest ${digestResult.date ?? ""}`.trim());
   } catch (err) {
     console.error("❌ syncDigest failed:", err.message);
     throw err;
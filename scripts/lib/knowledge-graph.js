@@ -0,0 +1,134 @@
+// scripts/lib/knowledge-graph.js
+// Builds knowledge.graph.json (node/edge graph for kb-site) from knowledge items.
+//
+// Nodes: item, entity (people/orgs/products/tech/standards), topic, keyword, project
+// Edges:
+//  - item → entity   ("mentions")
+//  - item → topic    ("about")
+//  - item → keyword  ("tagged")
+//  - item → project  ("useful-for", weight = usefulness score)
+//  - entity ↔ entity ("co-occurs", weight = number of items mentioning both)
+
+const USEFULNESS_WEIGHT = {
+  HIGH: 1,
+  MODERATE: 0.6,
+  ARCHIVE: 0.2,
+  LOW: 0.2, // pre-ARCHIVE classifications not yet migrated
+};
+
+function slug(s) {
+  return String(s)
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function asList(v) {
+  return Array.isArray(v) ? v.filter((x) => typeof x === "string" && x.trim()) : [];
+}
+
+/**
+ * @param {{ items: object[] }} knowledge
+ * @returns {{ generatedAt: string, stats: object, nodes: object[], edges: object[] }}
+ */
+export function buildKnowledgeGraph(knowledge) {
+  const nodes = new Map(); // id -> node
+  const edges = new Map(); // key -> edge
+
+  function addNode(id, data) {
+    const existing = nodes.get(id);
+    if (existing) {
+      existing.count = (existing.count || 1) + 1;
+      return existing;
+    }
+    const node = { id, ...data, count: 1 };
+    nodes.set(id, node);
+    return node;
+  }
+
+  function addEdge(source, target, type, weight = 1) {
+    const key = `${type}|${source}|${target}`;
+    const existing = edges.get(key);
+    if (existing) {
+      existing.weight += weight;
+      return;
+    }
+    edges.set(key, { source, target, type, weight });
+  }
+
+  for (const item of knowledge?.items || []) {
+    if (!item?.id) continue;
+    const itemNode = `item:${item.id}`;
+    nodes.set(itemNode, {
+      id: itemNode,
+      type: "item",
+      label: item.title || "(untitled)",
+      url: item.url || null,
+      sourceType: item.sourceType || null,
+      language: item.language || null,
+      clusterId: item.clusterId || null,
+      publishedAt: item.publishedAt || item.createdAt || null,
+    });
+
+    const enrichment = item.enrichment || {};
+
+    const entityIds = new Set();
+    for (const [kind, names] of Object.entries(enrichment.entities || {})) {
+      for (const name of asList(names)) {
+        const key = slug(name);
+        if (!key) continue;
+        const id = `entity:${kind}:${key}`;
+        addNode(id, { type: "entity", kind, label: name.trim() });
+        addEdge(itemNode, id, "mentions");
+        entityIds.add(id);
+      }
+    }
+
+    for (const topic of asList(enrichment.topics)) {
+      const key = slug(topic);
+      if (!key) continue;
+      const id = `topic:${key}`;
+      addNode(id, { type: "topic", label: topic.trim() });
+      addEdge(itemNode, id, "about");
+    }
+
+    for (const kw of asList(enrichment.keywords ?? item.keywords)) {
+      const key = slug(kw);
+      if (!key) continue;
+      const id = `keyword:${key}`;
+      addNode(id, { type: "keyword", label: kw.trim() });
+      addEdge(itemNode, id, "tagged");
+    }
+
+    for (const cls of Array.isArray(item.projects) ? item.projects : []) {
+      const key = cls.projectKey || (cls.project ? slug(cls.project) : null);
+      if (!key || !cls.usefulness) continue;
+      const id = `project:${key}`;
+      addNode(id, { type: "project", label: cls.project || key });
+      addEdge(itemNode, id, "useful-for", USEFULNESS_WEIGHT[cls.usefulness] ?? 0);
+      edges.get(`useful-for|${itemNode}|${id}`).usefulness = cls.usefulness;
+    }
+
+    // Undirected co-occurrence: store each pair once in sorted order
+    const ents = Array.from(entityIds).sort();
+    for (let i = 0; i < ents.length; i++) {
+      for (let j = i + 1; j < ents.length; j++) {
+        addEdge(ents[i], ents[j], "co-occurs");
+      }
+    }
+  }
+
+  const nodeList = Array.from(nodes.values());
+  const edgeList = Array.from(edges.values());
+  const stats = { nodes: nodeList.length, edges: edgeList.length };
+  for (const n of nodeList) stats[n.type] = (stats[n.type] || 0) + 1;
+
+  return {
+    generatedAt: new Date().toISOString(),
+    stats,
+    nodes: nodeList,
+    edges: edgeList,
+  };
+}
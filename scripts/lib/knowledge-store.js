@@ -0,0 +1,274 @@
+// scripts/lib/knowledge-store.js
+// Single access point for knowledge items, shared by every stage.
+// Backends (KNOWLEDGE_STORE env or { backend } option):
+//  - "json"   (default) → data/knowledge.json, held in memory; upserts mark it dirty and the file
+//                         is rewritten at most every KNOWLEDGE_SAVE_INTERVAL_MS (default 5000), on
+//                         flush() and on close()
+//  - "sqlite"           → data/knowledge.sqlite (better-sqlite3), one row per item;
+//                         data/knowledge.json is imported when it changes on disk (e.g. after
+//                         pullKnowledge; items missing from it are deleted) and re-exported by
+//                         flush() so sync/publish still see it.
+//
+// Either way data/knowledge.json can lag behind the store until flush(). kb-sync calls
+// flushOpenStores() before it reads local files for a push, so an upstream commit never carries a
+// stale knowledge.json.
+//
+// Store API (all async):
+//  - get(id)                  → item | null
+//  - upsert(item)             → insert or replace by item.id (json: durable within the save interval)
+//  - findByUrl(url)           → item[]
+//  - iterate({ where })       → async iterator over items (optionally filtered)
+//  - all() / count()
+//  - snapshot()               → { ...meta, items } shaped like knowledge.json
+//  - flush()                  → ensure data/knowledge.json reflects the store
+//  - close()
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { loadJson, saveJsonCheckpoint, ensureDir } from "./utils.js";
+import { DATA_DIR } from "./paths.js";
+
+const DATA = DATA_DIR;
+
+export const KNOWLEDGE_FILE = path.join(DATA, "knowledge.json");
+const SQLITE_FILE = process.env.KNOWLEDGE_DB || path.join(DATA, "knowledge.sqlite");
+const SAVE_INTERVAL_MS = Number(process.env.KNOWLEDGE_SAVE_INTERVAL_MS ?? 5000);
+
+// Stores opened in this process, so kb-sync can flush them before pushing knowledge.json
+const openStores = new Set();
+
+/**
+ * Bring data/knowledge.json up to date with every open store.
+ */
+export async function flushOpenStores() {
+  for (const store of openStores) await store.flush();
+}
+
+function splitKnowledge(knowledge) {
+  const { items, ...meta } = knowledge && typeof knowledge === "object" ? knowledge : {};
+  return { items: Array.isArray(items) ? items : [], meta };
+}
+
+// ---------- JSON backend ----------
+
+async function openJsonStore(file) {
+  const { items, meta } = splitKnowledge(await loadJson(file, { items: [] }));
+  const byId = new Map();
+  items.forEach((it, i) => it?.id && byId.set(String(it.id), i));
+
+  let writing = Promise.resolve(); // timer and flush() never write the file at the same time
+  let dirty = false;
+  let timer = null;
+
+  function save() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    const run = writing.then(async () => {
+      if (!dirty) return;
+      dirty = false; // upserts during the write mark it dirty again
+      await saveJsonCheckpoint(file, { ...meta, items });
+    });
+    writing = run.catch(() => {});
+    return run;
+  }
+
+  function markDirty() {
+    dirty = true;
+    if (!timer) {
+      timer = setTimeout(() => {
+        timer = null;
+        save().catch((err) => console.error(`knowledge-store: save failed: ${err.message}`));
+      }, SAVE_INTERVAL_MS); // not unref'd: a pending save keeps the process alive until it lands
+    }
+  }
+
+  return {
+    backend: "json",
+    file,
+    async get(id) {
+      const i = byId.get(String(id));
+      return i === undefined ? null : items[i];
+    },
+    async upsert(item) {
+      if (!item?.id) throw new Error("knowledge-store: item.id is required");
+      const key = String(item.id);
+      const i = byId.get(key);
+      if (i === undefined) {
+        byId.set(key, items.length);
+        items.push(item);
+      } else {
+        items[i] = item;
+      }
+      markDirty();
+      return item;
+    },
+    async findByUrl(url) {
+      return items.filter((it) => it?.url && it.url === url);
+    },
+    async *iterate({ where } = {}) {
+      // Snapshot the length so items appended mid-iteration are not revisited
+      const n = items.length;
+      for (let i = 0; i < n; i++) {
+        if (!where || where(items[i])) yield items[i];
+      }
+    },
+    async all() {
+      return items.slice();
+    },
+    async count() {
+      return items.length;
+    },
+    async snapshot() {
+      return { ...meta, items };
+    },
+    async flush() {
+      await save();
+    },
+    async close() {
+      await save();
+      openStores.delete(this);
+    },
+  };
+}
+
+// ---------- SQLite backend ----------
+
+async function loadSqliteDriver() {
+  try {
+    const mod = await import("better-sqlite3");
+    return mod.default ?? mod;
+  } catch (err) {
+    throw new Error(
+      `KNOWLEDGE_STORE=sqlite requires the optional "better-sqlite3" dependency (${err.message})`
+    );
+  }
+}
+
+async function fileMtimeMs(file) {
+  try {
+    return (await fs.stat(file)).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+async function openSqliteStore(file, jsonFile) {
+  const Database = await loadSqliteDriver();
+  await ensureDir(path.dirname(file));
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS items (
+      id   TEXT PRIMARY KEY,
+      url  TEXT,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS items_url ON items(url);
+    CREATE TABLE IF NOT EXISTS meta (
+      key   TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    );
+  `);
+
+  const stmts = {
+    get: db.prepare("SELECT data FROM items WHERE id = ?"),
+    upsert: db.prepare(
+      "INSERT INTO items (id, url, data) VALUES (@id, @url, @data) " +
+        "ON CONFLICT(id) DO UPDATE SET url = excluded.url, data = excluded.data"
+    ),
+    byUrl: db.prepare("SELECT data FROM items WHERE url = ? ORDER BY rowid"),
+    ids: db.prepare("SELECT id FROM items"),
+    remove: db.prepare("DELETE FROM items WHERE id = ?"),
+    all: db.prepare("SELECT data FROM items ORDER BY rowid"),
+    count: db.prepare("SELECT COUNT(*) AS n FROM items"),
+    getMeta: db.prepare("SELECT value FROM meta WHERE key = ?"),
+    allMeta: db.prepare("SELECT key, value FROM meta WHERE key NOT LIKE '\\_%' ESCAPE '\\'"),
+    setMeta: db.prepare(
+      "INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"
+    ),
+  };
+
+  const row = (item) => ({
+    id: String(item.id),
+    url: item.url ? String(item.url) : null,
+    data: JSON.stringify(item),
+  });
+
+  // Import knowledge.json when it changed since our last import/export.
+  // The file is the canonical copy (pulled from the knowledgebase repo), so its items win.
+  const mtime = await fileMtimeMs(jsonFile);
+  const seen = Number(stmts.getMeta.get("_jsonMtimeMs")?.value ?? 0);
+  if (mtime && mtime > seen) {
+    const { items, meta } = splitKnowledge(await loadJson(jsonFile, { items: [] }));
+    const keep = new Set(items.filter((it) => it?.id).map((it) => String(it.id)));
+    db.transaction(() => {
+      for (const it of items) if (it?.id) stmts.upsert.run(row(it));
+      // Items deleted upstream go here too
+      for (const { id } of stmts.ids.all()) if (!keep.has(id)) stmts.remove.run(id);
+      for (const [k, v] of Object.entries(meta)) stmts.setMeta.run(k, JSON.stringify(v));
+      stmts.setMeta.run("_jsonMtimeMs", String(mtime));
+    })();
+  }
+
+  const parse = (r) => (r ? JSON.parse(r.data) : null);
+
+  return {
+    backend: "sqlite",
+    file,
+    async get(id) {
+      return parse(stmts.get.get(String(id)));
+    },
+    async upsert(item) {
+      if (!item?.id) throw new Error("knowledge-store: item.id is required");
+      stmts.upsert.run(row(item));
+      return item;
+    },
+    async findByUrl(url) {
+      return stmts.byUrl.all(String(url)).map(parse);
+    },
+    async *iterate({ where } = {}) {
+      // Materialize first: better-sqlite3 cannot write while a cursor is open
+      const items = stmts.all.all().map(parse);
+      for (const it of items) {
+        if (!where || where(it)) yield it;
+      }
+    },
+    async all() {
+      return stmts.all.all().map(parse);
+    },
+    async count() {
+      return stmts.count.get().n;
+    },
+    async snapshot() {
+      const meta = {};
+      for (const m of stmts.allMeta.all()) meta[m.key] = JSON.parse(m.value);
+      return { ...meta, items: stmts.all.all().map(parse) };
+    },
+    async flush() {
+      await saveJsonCheckpoint(jsonFile, await this.snapshot());
+      const written = await fileMtimeMs(jsonFile);
+      if (written) stmts.setMeta.run("_jsonMtimeMs", String(written));
+    },
+    async close() {
+      openStores.delete(this);
+      db.close();
+    },
+  };
+}
+
+/**
+ * Open the knowledge store for the configured backend.
+ * @param {object} [options]
+ * @param {"json"|"sqlite"} [options.backend] - defaults to KNOWLEDGE_STORE env, then "json"
+ */
+export async function openKnowledgeStore({ backend } = {}) {
+  const kind = (backend || process.env.KNOWLEDGE_STORE || "json").toLowerCase();
+  let store;
+  if (kind === "json") store = await openJsonStore(KNOWLEDGE_FILE);
+  else if (kind === "sqlite") store = await openSqliteStore(SQLITE_FILE, KNOWLEDGE_FILE);
+  else throw new Error(`Unknown KNOWLEDGE_STORE backend: ${kind}`);
+  openStores.add(store);
+  return store;
+}
@@ -0,0 +1,217 @@
+// scripts/lib/llm-router.js
+// One entry point for LLM calls, driven by config/models.json:
+//
+//   { "stages": { "<stage>": [ { provider, model, timeoutMs, maxRetries, costPerToken, ... } ] } }
+//
+// Entries are tried in order. Each attempt runs through guardrails (safeCall spend caps; costPerToken
+// prices models missing from config/model-prices.json), is bounded by timeoutMs and retried up to
+// maxRetries times; an error, a cap skip or a reply rejected by `validate` moves on to the next
+// entry. Provider modules are imported lazily, so a provider whose API key is missing fails on its
+// own turn instead of breaking the stage.
+//
+// Calls are paced per provider by "rateLimits" ({ "<provider>": { rpm, tpm } }, shared by all stages
+// so parallel workers respect one quota). A 429 pauses that provider and halves its limits until
+// successes recover them. The limiter counts HTTP requests: OpenRouter's model rotation can send
+// several per attempt, so it takes a slot before each one.
+//
+// When nothing succeeds and at least one entry was refused by the rolling budget, the thrown error
+// carries `budgetExhausted: true` (free entries may still have been tried first).
+//
+// Returns { text, model, provider, usage, result }
+//   usage  = { prompt_tokens, completion_tokens, total_tokens, provider, costUsd }
+//   result = validate(text) output (or the raw text when no validator is given)
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { safeCall } from "./guardrails.js";
+import { estimateTokensFromText } from "./token-usage.js";
+import { createRateLimiter } from "./scheduler.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.resolve(__dirname, "..", "..");
+const MODELS_PATH = path.join(ROOT_DIR, "config", "models.json");
+
+const DEFAULT_TIMEOUT_MS = 120000;
+const RETRY_DELAY_MS = 2000;
+
+// provider → (entry, prompt, stage, pace) => { text, model, rawUsage, provider? }
+// pace() waits for a rate-limit slot; only providers in SELF_PACED call it (once per request)
+const PROVIDERS = {
+  async gemini(entry, prompt) {
+    const { callGemini } = await import("./gemini.js");
+    return callGemini(prompt, { model: entry.model, timeoutMs: entry.timeoutMs });
+  },
+  async openrouter(entry, prompt, stage, pace) {
+    const { callWithRotation } = await import("./openrouter.js");
+    return callWithRotation(prompt, stage, entry.models, { beforeRequest: pace });
+  },
+  async deepseek(entry, prompt) {
+    const { callDeepSeek } = await import("./deepseek.js");
+    return callDeepSeek(prompt, {
+      model: entry.model,
+      temperature: entry.temperature ?? 0.2,
+      timeoutMs: entry.timeoutMs,
+    });
+  },
+  async local(entry, prompt) {
+    const { callLocalLLM } = await import("./local-llm.js");
+    return callLocalLLM(prompt, {
+      model: entry.model,
+      baseUrl: entry.baseUrl,
+      temperature: entry.temperature ?? 0.2,
+      timeoutMs: entry.timeoutMs,
+    });
+  },
+  async openai(entry, prompt) {
+    const { callOpenAI } = await import("./openai.js");
+    return callOpenAI(prompt, {
+      models: [entry.model],
+      temperature: entry.temperature ?? 0.2,
+      timeoutMs: entry.timeoutMs,
+    });
+  },
+};
+
+const SELF_PACED = new Set(["openrouter"]);
+
+let configCache = null;
+const limiters = new Map(); // provider -> rate limiter
+
+async function loadConfig() {
+  if (configCache) return configCache;
+  configCache = JSON.parse(await fs.readFile(MODELS_PATH, "utf8"));
+  return configCache;
+}
+
+export async function getStageChain(stage) {
+  const cfg = await loadConfig();
+  const chain = cfg?.stages?.[stage];
+  if (!Array.isArray(chain) || !chain.length) {
+    throw new Error(`No provider chain configured for stage "${stage}" in config/models.json`);
+  }
+  return chain.filter((e) => e && e.enabled !== false);
+}
+
+async function limiterFor(provider) {
+  if (!limiters.has(provider)) {
+    const cfg = await loadConfig();
+    limiters.set(provider, createRateLimiter(cfg?.rateLimits?.[provider] || {}));
+  }
+  return limiters.get(provider);
+}
+
+function isRateLimited(err) {
+  return err?.status === 429 || /\b429\b|rate.?limit/i.test(err?.message || "");
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Normalize provider usage; fill gaps with estimates. costUsd comes from guardrails.
+function normalizeUsage(provider, prompt, text, rawUsage = {}, costUsd = 0) {
+  const prompt_tokens = rawUsage?.prompt_tokens ?? estimateTokensFromText(prompt);
+  const completion_tokens = rawUsage?.completion_tokens ?? estimateTokensFromText(text);
+  const total_tokens = rawUsage?.total_tokens || prompt_tokens + completion_tokens;
+  return { ...rawUsage, prompt_tokens, completion_tokens, total_tokens, provider, costUsd };
+}
+
+async function runEntry(entry, prompt, stage) {
+  const call = PROVIDERS[entry.provider];
+  if (!call) throw new Error(`Unknown provider "${entry.provider}"`);
+
+  const timeoutMs = Number(entry.timeoutMs ?? DEFAULT_TIMEOUT_MS);
+  const retries = Math.max(0, Number(entry.maxRetries ?? 0));
+  const limiter = await limiterFor(entry.provider);
+  const promptTokens = estimateTokensFromText(prompt);
+  const pace = () => limiter.acquire(promptTokens); // waits out a 429 pause, too
+  const selfPaced = SELF_PACED.has(entry.provider);
+  let lastErr;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0 && !isRateLimited(lastErr)) await sleep(RETRY_DELAY_MS * attempt);
+    if (!selfPaced) await pace();
+    try {
+      const r = await safeCall({
+        provider: entry.provider,
+        model: entry.model,
+        fn: () =>
+          withTimeout(call(entry, prompt, stage, pace), timeoutMs, `${entry.provider}/${entry.model}`),
+        prompt,
+        models: entry.models,
+        price: entry.costPerToken,
+        stage,
+      });
+      if (!r) throw Object.assign(new Error(`${entry.provider} skipped (cap reached)`), { capped: true });
+      limiter.success();
+      return r;
+    } catch (err) {
+      lastErr = err;
+      if (isRateLimited(err)) {
+        const delay = limiter.backoff(err.retryAfterMs ?? null);
+        console.warn(`[llm-router] ${entry.provider} rate limited; pausing ${delay}ms`);
+      }
+      if (err.capped || err.budgetExhausted) break; // retrying won't lift the cap
+      if (err.retryable === false) break; // fatal HTTP error (auth, bad request, ...)
+    }
+  }
+  throw lastErr;
+}
+
+/**
+ * Call the configured provider chain for a stage.
+ * @param {string} stage            - key under "stages" in config/models.json
+ * @param {string} prompt
+ * @param {object} [options]
+ * @param {function} [options.validate] - text → result | null; null rejects the reply (next provider)
+ * @param {function} [options.log]      - (msg, ctx) logger; defaults to console.log
+ * @param {object} [options.ctx]        - extra fields for log lines (e.g. item id)
+ */
+export async function callLLM(stage, prompt, { validate = null, log = defaultLog, ctx = {} } = {}) {
+  const chain = await getStageChain(stage);
+  const errors = [];
+  let budgetRefusals = 0;
+
+  for (const entry of chain) {
+    try {
+      const r = await runEntry(entry, prompt, stage);
+      const text = r.text ?? "";
+      const provider = r.provider || entry.provider;
+      const model = r.model || entry.model;
+
+      const result = validate ? validate(text) : text;
+      if (validate && !result) {
+        log(`Invalid ${stage} reply; trying next provider`, { ...ctx, provider, model });
+        errors.push(`${entry.provider}: invalid reply`);
+        continue;
+      }
+
+      log(`Used ${entry.provider} for ${stage}`, { ...ctx, model, provider });
+      const usage = normalizeUsage(provider, prompt, text, r.rawUsage, r.costUsd ?? 0);
+      return { text, model, provider, usage, result };
+    } catch (err) {
+      log(`${entry.provider} failed for ${stage}`, { ...ctx, error: err.message });
+      errors.push(`${entry.provider}: ${err.message}`);
+      if (err.budgetExhausted) budgetRefusals++;
+    }
+  }
+
+  const err = new Error(`No valid ${stage} reply from any provider (${errors.join("; ")})`);
+  // Paid providers are out of budget and the rest failed: let stages stop cleanly rather than fail fast
+  if (budgetRefusals) err.budgetExhausted = true;
+  throw err;
+}
+
+function defaultLog(msg, ctx = {}) {
+  const ts = new Date().toISOString();
+  console.log(`[${ts}] ${msg}`, Object.keys(ctx).length ? ctx : "");
+}
@@ -0,0 +1,78 @@
+// scripts/lib/local-llm.js
+// Minimal client for any OpenAI-compatible chat endpoint (Ollama, llama.cpp server, vLLM, LM Studio).
+// Returns { text, model, tokens, rawUsage } with provider metadata.
+// embedLocal() calls the server's /embeddings endpoint and returns { vectors, model, rawUsage }.
+//
+// Env:
+//  - LOCAL_LLM_BASE_URL  (default http://localhost:11434/v1, Ollama's OpenAI-compatible API)
+//  - LOCAL_LLM_MODEL     (default model when the chain entry doesn't name one)
+//  - LOCAL_LLM_API_KEY   (optional; most local servers ignore it)
+
+import { fetchWithRetry } from "./http.js";
+import { withFixture } from "./dry-run.js";
+
+const LOCAL_LLM_BASE_URL = process.env.LOCAL_LLM_BASE_URL || "http://localhost:11434/v1";
+const LOCAL_LLM_MODEL = process.env.LOCAL_LLM_MODEL || "llama3.1:8b";
+const LOCAL_LLM_API_KEY = process.env.LOCAL_LLM_API_KEY || "";
+
+export async function callLocalLLM(
+  prompt,
+  { model = LOCAL_LLM_MODEL, baseUrl = LOCAL_LLM_BASE_URL, temperature = 0.2, timeoutMs = 300000 } = {}
+) {
+  return withFixture("local", { model, prompt }, () =>
+    requestLocal(prompt, { model, baseUrl, temperature, timeoutMs })
+  );
+}
+
+// Retries are left to the router (retries: 0)
+async function requestLocal(prompt, { model, baseUrl, temperature, timeoutMs }) {
+  const url = `${String(baseUrl).replace(/\/+$/, "")}/chat/completions`;
+  const headers = { "Content-Type": "application/json" };
+  if (LOCAL_LLM_API_KEY) headers.Authorization = `Bearer ${LOCAL_LLM_API_KEY}`;
+
+  const res = await fetchWithRetry(
+    url,
+    {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        model,
+        messages: [{ role: "user", content: prompt }],
+        temperature,
+        stream: false,
+      }),
+    },
+    { label: `Local LLM ${model}`, retries: 0, timeoutMs }
+  );
+
+  const data = await res.json();
+  const text = data?.choices?.[0]?.message?.content?.trim() ?? "";
+  const usage = data?.usage ?? {};
+  const tokens = (usage.prompt_tokens ?? 0) + (usage.completion_tokens ?? 0);
+
+  return { text, model: data?.model || model, tokens, rawUsage: { ...usage, provider: "local" } };
+}
+
+export async function embedLocal(texts, { model, baseUrl = LOCAL_LLM_BASE_URL, timeoutMs = 120000 } = {}) {
+  const data = await withFixture("local-embed", { model, texts }, async () => {
+    const url = `${String(baseUrl).replace(/\/+$/, "")}/embeddings`;
+    const headers = { "Content-Type": "application/json" };
+    if (LOCAL_LLM_API_KEY) headers.Authorization = `Bearer ${LOCAL_LLM_API_KEY}`;
+    const res = await fetchWithRetry(
+      url,
+      { method: "POST", headers, body: JSON.stringify({ model, input: texts }) },
+      { label: `Local embeddings ${model}`, retries: 0, timeoutMs }
+    );
+    return res.json();
+  });
+
+  // OpenAI-compatible servers may return entries out of order; `index` says where each belongs
+  const vectors = new Array(texts.length);
+  (data?.data || []).forEach((e, i) => {
+    vectors[Number.isInteger(e?.index) ? e.index : i] = e?.embedding;
+  });
+  if (vectors.some((v) => !Array.isArray(v))) {
+    throw new Error(`Local embeddings: expected ${texts.length} vectors from ${model}`);
+  }
+  return { vectors, model: data?.model || model, rawUsage: { ...(data?.usage ?? {}), completion_tokens: 0, provider: "local" } };
+}
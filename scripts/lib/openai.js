@@ -2,7 +2,7 @@
 // Minimal OpenAI Chat helper (direct).
 // Returns { text, model, tokens, rawUsage } with provider metadata.
 
-import fetch from "node-fetch";
+import { fetchWithRetry } from "./http.js";
 
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 if (!OPENAI_API_KEY) {
@@ -15,32 +15,29 @@ if (!OPENAI_API_KEY) {
  */
 export async function callOpenAI(
   prompt,
-  { models = ["gpt-4o-mini", "gpt-5-mini"], temperature = 0.2 } = {}
+  { models = ["gpt-4o-mini", "gpt-5-mini"], temperature = 0.2, timeoutMs = 120000 } = {}
 ) {
   if (!OPENAI_API_KEY) throw new Error("OPENAI_API_KEY missing");
 
   let lastErr;
   for (const model of models) {
     try {
-      const res = await fetch("https://api.openai.com/v1/chat/completions", {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${OPENAI_API_KEY}`,
-          "Content-Type": "application/json",
+      const res = await fetchWithRetry(
+        "https://api.openai.com/v1/chat/completions",
+        {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${OPENAI_API_KEY}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({
+            model,
+            messages: [{ role: "user", content: prompt }],
+            temperature,
+          }),
         },
-        body: JSON.stringify({
-          model,
-          messages: [{ role: "user", content: prompt }],
-          temperature,
-        }),
-      });
-
-      if (!res.ok) {
-        const t = await safeText(res);
-        throw new Error(
-          `OpenAI ${model} error: ${res.status} ${res.statusText}${t ? ` – ${t.slice(0, 400)}` : ""}`
-        );
-      }
+        { label: `OpenAI ${model}`, retries: 0, timeoutMs }
+      );
 
       const data = await res.json();
       const text = data?.choices?.[0]?.message?.content?.trim() ?? "";
@@ -55,7 +52,3 @@ export async function callOpenAI(
   }
   throw lastErr || new Error("OpenAI call failed");
 }
-
-async function safeText(res) {
-  try { return await res.text(); } catch { return ""; }
-}
@@ -5,14 +5,15 @@
 import fs from "node:fs/promises";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
-import fetch from "node-fetch";
+import { fetchWithRetry } from "./http.js";
+import { DRY_RUN, withFixture } from "./dry-run.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT_DIR = path.resolve(__dirname, "../..");
 const MODELS_PATH = path.join(ROOT_DIR, "config", "models.json");
 
 const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-if (!OPENROUTER_API_KEY) {
+if (!OPENROUTER_API_KEY && !DRY_RUN) {
   throw new Error("OPENROUTER_API_KEY is required");
 }
 
@@ -28,8 +29,10 @@ async function loadConfig() {
 }
 
 function pickListForStage(cfg, stage) {
-  // Prefer explicit stage list; fall back to generic "models"
-  const list = Array.isArray(cfg?.[stage]) ? cfg[stage]
+  // Prefer the openrouter entry of the stage chain; fall back to legacy flat lists
+  const entry = (cfg?.stages?.[stage] || []).find((e) => e?.provider === "openrouter");
+  const list = Array.isArray(entry?.models) ? entry.models
+             : Array.isArray(cfg?.[stage]) ? cfg[stage]
              : Array.isArray(cfg?.models) ? cfg.models
              : null;
   if (!list || !list.length) {
@@ -39,16 +42,21 @@ function pickListForStage(cfg, stage) {
   return list.filter(m => m !== "openrouter/rotation");
 }
 
-export async function callWithRotation(prompt, stage = "enrich") {
-  const cfg = await loadConfig();
-  const models = pickListForStage(cfg, stage);
+// `models` (optional) overrides the configured list, e.g. when the router passes its chain entry.
+// `beforeRequest` (optional) is awaited before each model's request (the router's rate limiter).
+export async function callWithRotation(prompt, stage = "enrich", models = null, { beforeRequest = null } = {}) {
+  if (!Array.isArray(models) || !models.length) {
+    models = pickListForStage(await loadConfig(), stage);
+  }
 
   const start = rrIndex.get(stage) ?? 0;
   rrIndex.set(stage, (start + 1) % models.length);
 
+  let lastErr = null;
   for (let i = 0; i < models.length; i++) {
     const model = models[(start + i) % models.length];
     try {
+      if (beforeRequest) await beforeRequest();
       const { text, rawUsage, provider } = await callOpenRouter(model, prompt);
       const usage = rawUsage ?? {};
       const tokens = {
@@ -63,30 +71,39 @@ export async function callWithRotation(prompt, stage = "enrich") {
       return { text, model, tokens, rawUsage: usage, provider };
     } catch (err) {
       console.warn(`[openrouter] ${stage} failed with ${model}: ${err.message}`);
+      lastErr = err;
       // try next model
     }
   }
 
-  throw new Error(`All OpenRouter models failed for stage "${stage}"`);
+  // Keep the last error's status visible so the router can spot rate limiting (429)
+  throw Object.assign(
+    new Error(`All OpenRouter models failed for stage "${stage}" (last: ${lastErr?.message ?? "n/a"})`),
+    { status: lastErr?.status ?? null, retryable: lastErr?.retryable, retryAfterMs: lastErr?.retryAfterMs ?? null }
+  );
 }
 
 async function callOpenRouter(model, prompt) {
-  const res = await fetch("https://openrouter.ai/api/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Authorization": `Bearer ${OPENROUTER_API_KEY}`,
-      "Content-Type": "application/json",
+  return withFixture("openrouter", { model, prompt }, () => requestOpenRouter(model, prompt));
+}
+
+// One attempt per model: rotating to the next model is the retry
+async function requestOpenRouter(model, prompt) {
+  const res = await fetchWithRetry(
+    "https://openrouter.ai/api/v1/chat/completions",
+    {
+      method: "POST",
+      headers: {
+        "Authorization": `Bearer ${OPENROUTER_API_KEY}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        model,
+        messages: [{ role: "user", content: prompt }],
+      }),
     },
-    body: JSON.stringify({
-      model,
-      messages: [{ role: "user", content: prompt }],
-    }),
-  });
-
-  if (!res.ok) {
-    const body = await safeText(res);
-    throw new Error(`${res.status} ${res.statusText}${body ? ` – ${body.slice(0, 200)}` : ""}`);
-  }
+    { label: `OpenRouter ${model}`, retries: 0, timeoutMs: 120000 }
+  );
 
   const data = await res.json();
   const text = data.choices?.[0]?.message?.content?.trim() ?? "";
@@ -105,11 +122,3 @@ async function callOpenRouter(model, prompt) {
     provider,
   };
 }
-
-async function safeText(res) {
-  try {
-    return await res.text();
-  } catch {
-    return "";
-  }
-}
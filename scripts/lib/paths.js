@@ -0,0 +1,20 @@
+// scripts/lib/paths.js
+// Shared location of the runtime data tree.
+//  - KB_DATA_DIR overrides it explicitly
+//  - dry-run defaults to data/dry-run so offline runs never touch real state/caches
+
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { DRY_RUN } from "./dry-run.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const ROOT_DIR = path.resolve(__dirname, "..", "..");
+
+export const DATA_DIR = process.env.KB_DATA_DIR
+  ? path.resolve(process.env.KB_DATA_DIR)
+  : DRY_RUN
+    ? path.join(ROOT_DIR, "data", "dry-run")
+    : path.join(ROOT_DIR, "data");
+
+// Dry-run stand-ins write what would have left the machine (commits, emails) here
+export const DRY_RUN_OUTBOX = path.join(DATA_DIR, "outbox");
@@ -0,0 +1,118 @@
+// scripts/lib/scheduler.js
+// Concurrency helpers for the LLM stages.
+//  - runPool(source, worker, { concurrency, shouldStop }) → bounded-concurrency loop over an (async) iterable
+//  - createRateLimiter({ rpm, tpm })                        → per-provider requests/tokens-per-minute gate
+//                                                             with adaptive backoff after 429s
+//  - createSerialQueue()                                    → run async sections one at a time
+//                                                             (file read-modify-write under concurrency)
+
+const WINDOW_MS = 60000;
+const BASE_BACKOFF_MS = Number(process.env.RATE_LIMIT_BASE_BACKOFF_MS ?? 2000);
+const MAX_BACKOFF_MS = Number(process.env.RATE_LIMIT_MAX_BACKOFF_MS ?? 60000);
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+/**
+ * Pull items from `source` and run `worker(item)` with at most `concurrency` in flight.
+ * No new item is started once `shouldStop()` returns true; in-flight work always completes.
+ * If a worker throws, scheduling stops and the first error is rethrown after the others settle.
+ */
+export async function runPool(source, worker, { concurrency = 1, shouldStop = () => false } = {}) {
+  const it = source[Symbol.asyncIterator] ? source[Symbol.asyncIterator]() : source[Symbol.iterator]();
+  let done = false;
+  let firstError = null;
+
+  async function lane() {
+    while (!done && !shouldStop()) {
+      // Concurrent next() calls on an async generator are queued, so each item is handed out once
+      const next = await it.next();
+      if (next.done) {
+        done = true;
+        break;
+      }
+      try {
+        await worker(next.value);
+      } catch (err) {
+        firstError = firstError || err;
+        done = true;
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.floor(concurrency) || 1) }, lane));
+  if (firstError) throw firstError;
+}
+
+/**
+ * Sliding-window limiter. 0 (or unset) disables a limit.
+ * After backoff() (e.g. on HTTP 429) the provider is paused and its effective limits are halved;
+ * each success() recovers them by 10%.
+ */
+export function createRateLimiter({ rpm = 0, tpm = 0 } = {}) {
+  const events = []; // { at, tokens }, oldest first
+  let pausedUntil = 0;
+  let factor = 1;
+  let strikes = 0;
+
+  function prune(now) {
+    while (events.length && events[0].at <= now - WINDOW_MS) events.shift();
+  }
+
+  function waitFor(tokens, now) {
+    if (now < pausedUntil) return pausedUntil - now;
+    prune(now);
+
+    const reqLimit = rpm > 0 ? Math.max(1, Math.floor(rpm * factor)) : 0;
+    if (reqLimit && events.length >= reqLimit) {
+      return events[events.length - reqLimit].at + WINDOW_MS - now;
+    }
+
+    const tokLimit = tpm > 0 ? Math.max(1, Math.floor(tpm * factor)) : 0;
+    if (tokLimit && events.length) {
+      const used = events.reduce((n, e) => n + e.tokens, 0);
+      // A single oversized request still goes through once the window is empty
+      if (used + tokens > tokLimit) return events[0].at + WINDOW_MS - now;
+    }
+    return 0;
+  }
+
+  return {
+    async acquire(tokens = 0) {
+      for (;;) {
+        const now = Date.now();
+        const wait = waitFor(tokens, now);
+        if (wait <= 0) {
+          events.push({ at: now, tokens });
+          return;
+        }
+        await sleep(Math.max(wait, 50));
+      }
+    },
+    backoff(retryAfterMs = null) {
+      strikes += 1;
+      factor = Math.max(0.1, factor / 2);
+      const delay = retryAfterMs ?? Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (strikes - 1));
+      pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+      return delay;
+    },
+    success() {
+      strikes = 0;
+      factor = Math.min(1, factor * 1.1);
+    },
+    get state() {
+      return { rpm, tpm, factor, pausedUntil, inWindow: events.length };
+    },
+  };
+}
+
+// Run async sections strictly one after another, in call order
+export function createSerialQueue() {
+  let tail = Promise.resolve();
+  return function serial(fn) {
+    const run = tail.then(fn);
+    tail = run.catch(() => {});
+    return run;
+  };
+}
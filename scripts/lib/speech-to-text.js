@@ -0,0 +1,139 @@
+// scripts/lib/speech-to-text.js
+// Optional local speech-to-text for YouTube videos without any caption track.
+// Pipeline: yt-dlp (duration check, audio download) → ffmpeg (16 kHz mono WAV) → whisper.cpp (JSON output).
+// Everything runs on the local CPU; nothing is uploaded anywhere.
+//
+// Env:
+//  - STT_ENABLED=1            opt in (default off)
+//  - WHISPER_MODEL            path to a ggml model file, e.g. models/ggml-base.bin (required)
+//  - WHISPER_BIN              whisper.cpp CLI (default "whisper-cli"; older builds call it "main")
+//  - WHISPER_THREADS          default 4
+//  - WHISPER_LANGUAGE         default "auto" (detected language is reported as `lang`)
+//  - YTDLP_BIN / FFMPEG_BIN   default "yt-dlp" / "ffmpeg"
+//  - STT_MAX_DURATION_SEC     longer videos are skipped (default 3600)
+//  - STT_MAX_PER_RUN          transcriptions per process (default 2)
+//  - STT_MAX_ATTEMPTS         failed transcriptions per video before giving up (default 3; counted
+//                             in the transcript marker by youtube-transcripts.js)
+//
+// transcribeVideo() resolves to { text, segments, lang } like caption fetches, or
+// { skipped: <reason>, durationSec? } when it did not run. Failures throw, carrying `durationSec`
+// once it is known. Callers cache the duration and pass it back, so retries skip the yt-dlp probe.
+
+import { execFile } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import { createSerialQueue } from "./scheduler.js";
+
+const ENABLED = process.env.STT_ENABLED === "1";
+const WHISPER_BIN = process.env.WHISPER_BIN || "whisper-cli";
+const WHISPER_MODEL = process.env.WHISPER_MODEL || "";
+const WHISPER_THREADS = Number(process.env.WHISPER_THREADS ?? 4);
+const WHISPER_LANGUAGE = process.env.WHISPER_LANGUAGE || "auto";
+const YTDLP_BIN = process.env.YTDLP_BIN || "yt-dlp";
+const FFMPEG_BIN = process.env.FFMPEG_BIN || "ffmpeg";
+const MAX_DURATION_SEC = Number(process.env.STT_MAX_DURATION_SEC ?? 3600);
+const MAX_PER_RUN = Number(process.env.STT_MAX_PER_RUN ?? 2);
+export const STT_MAX_ATTEMPTS = Number(process.env.STT_MAX_ATTEMPTS ?? 3);
+
+let runsThisProcess = 0;
+const oneAtATime = createSerialQueue(); // enrich runs items concurrently; transcription saturates the CPU alone
+
+function run(bin, args, { timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    execFile(bin, args, { timeout: timeoutMs, maxBuffer: 16 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) {
+        const detail = err.code === "ENOENT" ? "not found on PATH" : String(stderr || err.message).trim().slice(-400);
+        reject(Object.assign(new Error(`${path.basename(bin)} failed: ${detail}`), { code: err.code }));
+        return;
+      }
+      resolve(String(stdout));
+    });
+  });
+}
+
+export function sttAvailable() {
+  return ENABLED && Boolean(WHISPER_MODEL);
+}
+
+// whisper.cpp -oj output: { result: { language }, transcription: [{ offsets: { from, to }, text }] } (ms)
+function parseWhisperJson(json) {
+  const segments = [];
+  for (const t of json?.transcription || []) {
+    const text = String(t?.text ?? "").replace(/\s+/g, " ").trim();
+    const from = Number(t?.offsets?.from);
+    const to = Number(t?.offsets?.to);
+    if (!text || !Number.isFinite(from)) continue;
+    segments.push({
+      start: Math.round(from / 10) / 100,
+      dur: Number.isFinite(to) ? Math.round((to - from) / 10) / 100 : 0,
+      text,
+    });
+  }
+  return { segments, lang: json?.result?.language || null };
+}
+
+/**
+ * Transcribe a YouTube video locally.
+ * @param {string} videoId
+ * @param {object} [options]
+ * @param {number} [options.durationSec] - duration from an earlier attempt (skips the yt-dlp probe)
+ * @returns {Promise<{ text, segments, lang } | { skipped: string, durationSec?: number }>}
+ */
+export function transcribeVideo(videoId, { durationSec = null } = {}) {
+  return oneAtATime(() => transcribe(videoId, durationSec));
+}
+
+async function transcribe(videoId, knownDurationSec) {
+  if (!ENABLED) return { skipped: "disabled" };
+  if (!WHISPER_MODEL) return { skipped: "no-model" };
+  if (runsThisProcess >= MAX_PER_RUN) return { skipped: "run-limit" };
+
+  const url = `https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}`;
+  const durationSec =
+    knownDurationSec > 0
+      ? knownDurationSec
+      : Number((await run(YTDLP_BIN, ["--skip-download", "--print", "duration", url], { timeoutMs: 60000 })).trim());
+  if (!Number.isFinite(durationSec) || durationSec <= 0) return { skipped: "unknown-duration" };
+  if (durationSec > MAX_DURATION_SEC) return { skipped: "too-long", durationSec };
+
+  runsThisProcess++;
+  try {
+    return await transcribeAudio(url, durationSec);
+  } catch (err) {
+    throw Object.assign(err, { durationSec });
+  }
+}
+
+async function transcribeAudio(url, durationSec) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "kb-stt-"));
+  try {
+    const audio = path.join(dir, "audio");
+    const wav = path.join(dir, "audio.wav");
+    const outBase = path.join(dir, "transcript");
+    // Generous bounds: CPU transcription of base/small models runs around real time or faster
+    const budgetMs = Math.max(10 * 60000, durationSec * 3000);
+
+    await run(YTDLP_BIN, ["-f", "bestaudio", "--no-playlist", "-o", `${audio}.%(ext)s`, url], { timeoutMs: budgetMs });
+    const downloaded = (await fs.readdir(dir)).find((f) => f.startsWith("audio."));
+    if (!downloaded) throw new Error("yt-dlp produced no audio file");
+
+    await run(
+      FFMPEG_BIN,
+      ["-y", "-loglevel", "error", "-i", path.join(dir, downloaded), "-ar", "16000", "-ac", "1", "-c:a", "pcm_s16le", wav],
+      { timeoutMs: budgetMs }
+    );
+    await run(
+      WHISPER_BIN,
+      ["-m", WHISPER_MODEL, "-f", wav, "-l", WHISPER_LANGUAGE, "-t", String(WHISPER_THREADS), "-oj", "-of", outBase, "-np"],
+      { timeoutMs: budgetMs }
+    );
+
+    const { segments, lang } = parseWhisperJson(JSON.parse(await fs.readFile(`${outBase}.json`, "utf8")));
+    const text = segments.map((s) => s.text).join(" ").replace(/\s+/g, " ").trim();
+    return text ? { text, segments, lang } : { skipped: "no-speech", durationSec };
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
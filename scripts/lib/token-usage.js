@@ -22,9 +22,12 @@
 
 import fs from "node:fs/promises";
 import path from "node:path";
+import { DATA_DIR } from "./paths.js";
+import { createSerialQueue } from "./scheduler.js";
 
-const ROOT = path.resolve(process.cwd(), "data", "cache");
+const ROOT = path.join(DATA_DIR, "cache");
 const USAGE_FILE = path.join(ROOT, "pipeline-usage.json");
+const writes = createSerialQueue();
 
 // --- Naive estimator (~4 chars per token) ---
 export function estimateTokensFromText(text = "") {
@@ -56,7 +59,12 @@ export async function startUsageRun() {
  * @param {string} itemId
  * @param {object|null} rawUsage  (optional: {prompt_tokens, completion_tokens, total_tokens, provider?})
  */
-export async function logStageUsage(
+export function logStageUsage(...args) {
+  // Read-modify-write of one file: serialize so parallel workers don't drop entries
+  return writes(() => writeStageUsage(...args));
+}
+
+async function writeStageUsage(
   stage,
   model,
   prompt,
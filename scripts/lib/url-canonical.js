@@ -0,0 +1,89 @@
+// scripts/lib/url-canonical.js
+// Canonical form of item URLs, so the same page reached through different links dedupes as one.
+//  - scheme → https, host lowercased, "www." / "m." / "mobile." / "amp." prefixes dropped
+//  - fragment dropped, trailing slash dropped (except the root path)
+//  - tracking parameters dropped (utm_*, si, fbclid, gclid, ...); the rest are sorted
+//  - YouTube: youtu.be/<id>, /shorts/<id>, /embed/<id>, /live/<id>, m./music. hosts and
+//    watch URLs with extra params all become https://www.youtube.com/watch?v=<id>
+//    (the same form ingest uses for YouTube items)
+//
+// Returns null for anything that is not an http(s) URL.
+
+const TRACKING_PARAMS = new Set([
+  "si",
+  "fbclid",
+  "gclid",
+  "dclid",
+  "gbraid",
+  "wbraid",
+  "msclkid",
+  "yclid",
+  "igshid",
+  "mc_cid",
+  "mc_eid",
+  "_hsenc",
+  "_hsmi",
+  "mkt_tok",
+  "ref_src",
+  "ref_url",
+  "cmpid",
+  "oly_anon_id",
+  "oly_enc_id",
+  "vero_id",
+  "rss",
+]);
+const TRACKING_PREFIXES = ["utm_", "pk_", "mtm_"];
+
+const YOUTUBE_HOSTS = new Set(["youtube.com", "music.youtube.com", "youtube-nocookie.com"]);
+const VIDEO_ID = /^[\w-]{11}$/;
+
+function stripHostPrefix(host) {
+  return host.replace(/^(?:www\d?|m|mobile|amp)\./, "");
+}
+
+function isTracking(name) {
+  const key = name.toLowerCase();
+  return TRACKING_PARAMS.has(key) || TRACKING_PREFIXES.some((p) => key.startsWith(p));
+}
+
+function youTubeVideoId(url, host) {
+  if (host === "youtu.be") {
+    const id = url.pathname.split("/")[1] || "";
+    return VIDEO_ID.test(id) ? id : null;
+  }
+  if (!YOUTUBE_HOSTS.has(host)) return null;
+  const v = url.searchParams.get("v");
+  if (url.pathname === "/watch" && v && VIDEO_ID.test(v)) return v;
+  const m = url.pathname.match(/^\/(?:shorts|embed|live|v)\/([\w-]{11})(?:[/?]|$)/);
+  return m ? m[1] : null;
+}
+
+/**
+ * Canonical URL for dedupe/clustering, or null when `input` is not an http(s) URL.
+ * @param {string} input
+ */
+export function canonicalUrl(input) {
+  if (!input || typeof input !== "string") return null;
+  let url;
+  try {
+    url = new URL(input.trim());
+  } catch {
+    return null;
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+
+  const host = stripHostPrefix(url.hostname.toLowerCase());
+  const videoId = youTubeVideoId(url, host);
+  if (videoId) return `https://www.youtube.com/watch?v=${videoId}`;
+
+  const params = Array.from(url.searchParams.entries())
+    .filter(([name]) => !isTracking(name))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const query = new URLSearchParams(params).toString();
+
+  let pathname = url.pathname.replace(/\/{2,}/g, "/");
+  if (pathname.length > 1) pathname = pathname.replace(/\/+$/, "");
+  const port = url.port && !["80", "443"].includes(url.port) ? `:${url.port}` : "";
+
+  return `https://${host}${port}${pathname}${query ? `?${query}` : ""}`;
+}
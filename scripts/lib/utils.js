@@ -31,6 +31,19 @@ export async function saveTextCheckpoint(filePath, content) {
   await fs.writeFile(filePath, content, "utf8");
 }
 
+// Strict JSON extractor for LLM replies (grabs first {...} block); null if unparseable
+export function parseStrictJSON(txt) {
+  try {
+    const s = String(txt ?? "");
+    const start = s.indexOf("{");
+    const end = s.lastIndexOf("}");
+    if (start >= 0 && end >= start) {
+      return JSON.parse(s.slice(start, end + 1));
+    }
+  } catch {}
+  return null;
+}
+
 // List subdirectories under a path
 export async function listDirectories(root) {
   try {
@@ -1,17 +1,45 @@
 // scripts/lib/youtube-transcripts.js
 // Shared helpers for extracting YouTube video IDs and managing transcript files.
+// Cache (data/transcripts/, also pushed to the KB repo under transcripts/):
+//  - <videoId>.txt  → plain transcript text; an empty file marks "no transcript available (yet)"
+//  - <videoId>.json → { videoId, lang, source, segments: [{ start, dur, text }] } with times in seconds;
+//                     source is "captions" or "whisper". For a marker it holds
+//                     { videoId, marker: { reason, firstAt, lastAt, attempts } } instead.
+// Markers expire: YouTube often adds auto-captions hours after upload, so a marker is re-checked
+// TRANSCRIPT_RETRY_HOURS after its 1st, 2nd, … attempt (default "6,24,72"), then kept for good.
+// "too-long" markers (over the speech-to-text duration cap) never expire. Markers without a .json
+// (written before expiry existed) count as one attempt made at the file's mtime.
+// Videos without any caption track can be transcribed locally (lib/speech-to-text.js, opt-in via
+// STT_ENABLED=1). When that is deferred (per-run limit) no marker is written, so the next run tries
+// again. A failed transcription writes an "stt-failed" marker that follows the same retry schedule
+// and counts `sttFailures`; after STT_MAX_ATTEMPTS failures only captions are re-checked. Markers
+// also keep the video's `durationSec` once known, so retries skip the yt-dlp duration probe.
+// English tracks are preferred; otherwise the video's own language is used as-is and reported as
+// `lang` (enrich then writes its output in English and tags the item with the original language).
 
 import fs from "node:fs/promises";
 import path from "node:path";
-import { fileURLToPath } from "node:url";
-import fetch from "node-fetch";
+import { fetchWithRetry } from "./http.js";
 
 import { ensureDir } from "./utils.js";
 import { pushUpdate } from "./kb-sync.js";
+import { DATA_DIR } from "./paths.js";
+import { DRY_RUN, withFixture } from "./dry-run.js";
+import { sttAvailable, transcribeVideo, STT_MAX_ATTEMPTS } from "./speech-to-text.js";
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const ROOT = path.resolve(__dirname, "..", "..");
-const TRANSCRIPTS_DIR = path.join(ROOT, "data", "transcripts");
+const TRANSCRIPTS_DIR = path.join(DATA_DIR, "transcripts");
+const RETRY_HOURS = String(process.env.TRANSCRIPT_RETRY_HOURS ?? "6,24,72")
+  .split(",")
+  .map(Number)
+  .filter((n) => Number.isFinite(n) && n > 0);
+const PERMANENT_MARKER_REASONS = new Set(["too-long"]);
+const HOUR_MS = 3600 * 1000;
+
+// How long after enrichment enrich keeps re-checking a video that has no marker yet (fetch deferred
+// or failed transiently): the whole retry schedule plus one run interval. Videos with a marker
+// follow markerDue() instead.
+export const TRANSCRIPT_RETRY_WINDOW_MS =
+  (RETRY_HOURS.reduce((a, b) => a + b, 0) + Number(process.env.TRANSCRIPT_RETRY_SLACK_HOURS ?? 24)) * HOUR_MS;
 
 export function extractYouTubeVideoId(input) {
   if (!input) return null;
@@ -46,24 +74,109 @@ export function extractYouTubeVideoId(input) {
   return null;
 }
 
+// 75 → "1:15", 3725 → "1:02:05"
+export function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(Number(seconds) || 0));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const sec = String(total % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${sec}` : `${m}:${sec}`;
+}
+
+// "1:15" / "01:02:05" / "75" / 75 → seconds (null if unparseable)
+export function parseTimestamp(value) {
+  if (typeof value === "number") return Number.isFinite(value) && value >= 0 ? Math.floor(value) : null;
+  const m = String(value ?? "").trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$|^(\d+)s?$/);
+  if (!m) return null;
+  if (m[4] !== undefined) return Number(m[4]);
+  return Number(m[1] ?? 0) * 3600 + Number(m[2]) * 60 + Number(m[3]);
+}
+
+export function youTubeDeepLink(videoId, seconds) {
+  return `https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}&t=${Math.floor(seconds)}s`;
+}
+
+// Segments → "[m:ss] text" lines, one per ~stepSec of video (keeps prompts compact)
+export function timestampedTranscript(segments, { stepSec = 30 } = {}) {
+  const lines = [];
+  let cur = null;
+  for (const seg of segments || []) {
+    if (!cur || seg.start - cur.start >= stepSec) {
+      if (cur) lines.push(`[${formatTimestamp(cur.start)}] ${cur.parts.join(" ")}`);
+      cur = { start: seg.start, parts: [] };
+    }
+    cur.parts.push(seg.text);
+  }
+  if (cur) lines.push(`[${formatTimestamp(cur.start)}] ${cur.parts.join(" ")}`);
+  return lines.join("\n");
+}
+
 function transcriptFilePath(videoId) {
   return path.join(TRANSCRIPTS_DIR, `${videoId}.txt`);
 }
 
+function segmentsFilePath(videoId) {
+  return path.join(TRANSCRIPTS_DIR, `${videoId}.json`);
+}
+
+async function readSidecar(videoId) {
+  try {
+    return JSON.parse(await fs.readFile(segmentsFilePath(videoId), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+async function readCachedSegments(videoId) {
+  const json = await readSidecar(videoId);
+  const segments = Array.isArray(json?.segments) && json.segments.length ? json.segments : null;
+  return { segments, lang: json?.lang ?? null };
+}
+
+async function readMarker(videoId, markerPath, st) {
+  const json = await readSidecar(videoId);
+  if (json?.marker?.lastAt) return json.marker;
+  const at = new Date(st.mtimeMs).toISOString();
+  return { reason: "unknown", firstAt: at, lastAt: at, attempts: 1 };
+}
+
+/**
+ * Is an empty-marker due for another fetch attempt?
+ * @param {{ reason, lastAt, attempts }} marker
+ */
+export function markerDue(marker, now = Date.now()) {
+  if (!marker || PERMANENT_MARKER_REASONS.has(marker.reason)) return false;
+  const waitHours = RETRY_HOURS[(marker.attempts || 1) - 1];
+  if (waitHours === undefined) return false;
+  return now - Date.parse(marker.lastAt) >= waitHours * HOUR_MS;
+}
+
+// "es-419" → "es", "EN" → "en" (null when unknown)
+export function baseLanguage(lang) {
+  const code = String(lang ?? "").trim().toLowerCase().split(/[-_]/)[0];
+  return /^[a-z]{2,3}$/.test(code) ? code : null;
+}
+
+export function languageName(lang) {
+  const code = baseLanguage(lang);
+  if (!code) return null;
+  try {
+    return new Intl.DisplayNames(["en"], { type: "language" }).of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
 export async function readCachedTranscript(videoId) {
   const p = transcriptFilePath(videoId);
   try {
     await ensureDir(TRANSCRIPTS_DIR);
     const st = await fs.stat(p);
-    if (st.size === 0) {
-      return { path: p, text: null, exists: true, emptyMarker: true };
-    }
-    const raw = await fs.readFile(p, "utf8");
-    const text = raw.trim();
+    const text = st.size === 0 ? "" : (await fs.readFile(p, "utf8")).trim();
     if (text.length > 0) {
-      return { path: p, text, exists: true, emptyMarker: false };
+      return { path: p, text, ...(await readCachedSegments(videoId)), exists: true, emptyMarker: false };
     }
-    return { path: p, text: null, exists: true, emptyMarker: true };
+    return { path: p, text: null, exists: true, emptyMarker: true, marker: await readMarker(videoId, p, st) };
   } catch {
     return { path: p, text: null, exists: false, emptyMarker: false };
   }
@@ -82,7 +195,9 @@ function parseTimedTextTracks(xml) {
     const attrs = {};
     let attr;
     while ((attr = attrRegex.exec(match[1])) !== null) attrs[attr[1]] = attr[2];
-    if (attrs.lang_code) tracks.push({ lang_code: attrs.lang_code, kind: attrs.kind || "" });
+    if (attrs.lang_code) {
+      tracks.push({ lang_code: attrs.lang_code, kind: attrs.kind || "", isDefault: attrs.lang_default === "true" });
+    }
   }
   return tracks;
 }
@@ -90,102 +205,254 @@ function parseTimedTextTracks(xml) {
 function pickBestTrack(tracks) {
   if (!tracks.length) return null;
   const en = tracks.filter((t) => t.lang_code.toLowerCase().startsWith("en"));
-  return en.find((t) => t.kind !== "asr") || en.find((t) => t.kind === "asr") || tracks[0];
+  const manual = tracks.filter((t) => t.kind !== "asr");
+  return (
+    en.find((t) => t.kind !== "asr") ||
+    en.find((t) => t.kind === "asr") ||
+    // No English: the video's own language, human captions first
+    manual.find((t) => t.isDefault) ||
+    tracks.find((t) => t.isDefault) ||
+    manual[0] ||
+    tracks[0]
+  );
 }
 
+// Transient failures are retried by fetchWithRetry; a definitive HTTP error means "no track here"
+async function fetchTimedText(url) {
+  try {
+    return await fetchWithRetry(url, {}, { label: "YouTube timedtext fetch" });
+  } catch (err) {
+    // Only a definitive HTTP answer (404, 403, ...) means "no captions"; 429/5xx/timeouts are
+    // transient and must not end up as a no-captions marker
+    if (err.retryable === false) return null;
+    throw err;
+  }
+}
+
+function decodeXmlText(s) {
+  return s
+    .replace(/&amp;/g, "&")
+    .replace(/&#39;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">");
+}
+
+function segment(start, dur, text) {
+  const t = String(text ?? "").replace(/\s+/g, " ").trim();
+  if (!t || !Number.isFinite(start)) return null;
+  return { start: Math.round(start * 100) / 100, dur: Math.round((dur || 0) * 100) / 100, text: t };
+}
+
+// "00:01:02.500" / "01:02.500" → seconds
+function vttTime(s) {
+  const parts = s.split(":").map(Number);
+  return parts.reduce((acc, n) => acc * 60 + n, 0);
+}
+
+function parseJson3Segments(payload) {
+  const out = [];
+  for (const ev of payload?.events || []) {
+    if (!Array.isArray(ev.segs)) continue;
+    const seg = segment(ev.tStartMs / 1000, (ev.dDurationMs ?? 0) / 1000, ev.segs.map((x) => x?.utf8 || "").join(""));
+    if (seg) out.push(seg);
+  }
+  return out;
+}
+
+function parseVttSegments(vtt) {
+  const out = [];
+  const cueRegex = /((?:\d{1,2}:)?\d{2}:\d{2}\.\d{3})\s+-->\s+((?:\d{1,2}:)?\d{2}:\d{2}\.\d{3})[^\n]*\n([\s\S]*?)(?:\r?\n\r?\n|$)/g;
+  let m;
+  while ((m = cueRegex.exec(vtt.replace(/\r\n/g, "\n"))) !== null) {
+    const start = vttTime(m[1]);
+    const text = m[3].replace(/<[^>]+>/g, "");
+    const seg = segment(start, vttTime(m[2]) - start, text);
+    // Auto-captions repeat the previous line in rolling cues; keep each line once
+    if (seg && seg.text !== out[out.length - 1]?.text) out.push(seg);
+  }
+  return out;
+}
+
+function parseSrv1Segments(xml) {
+  return Array.from(xml.matchAll(/<text\s+([^>]*)>([\s\S]*?)<\/text>/g))
+    .map((m) => {
+      const start = Number(m[1].match(/start="([\d.]+)"/)?.[1]);
+      const dur = Number(m[1].match(/dur="([\d.]+)"/)?.[1] ?? 0);
+      return segment(start, dur, decodeXmlText(decodeXmlText(m[2])));
+    })
+    .filter(Boolean);
+}
+
+function fromSegments(segments, lang) {
+  const text = safeJoinText(segments.map((x) => x.text));
+  return text ? { text, segments, lang } : null;
+}
+
+// → { text, segments, lang } | null
 async function fetchTranscriptTimedText(videoId) {
   const listUrl = `https://www.youtube.com/api/timedtext?type=list&v=${encodeURIComponent(videoId)}`;
-  const listRes = await fetch(listUrl);
-  if (!listRes.ok) return null;
+  const listRes = await fetchTimedText(listUrl);
+  if (!listRes) return null;
   const listXml = await listRes.text();
   const chosen = pickBestTrack(parseTimedTextTracks(listXml));
   if (!chosen) return null;
+  const lang = chosen.lang_code;
+  let transient = null; // a format that failed transiently; rethrown if no format yields text
 
   try {
-    const jsonUrl = `https://www.youtube.com/api/timedtext?fmt=json3&v=${encodeURIComponent(videoId)}&lang=${encodeURIComponent(chosen.lang_code)}`;
-    const jsonRes = await fetch(jsonUrl);
-    if (jsonRes.ok) {
-      const payload = await jsonRes.json();
-      const parts = [];
-      for (const ev of payload.events || []) {
-        if (Array.isArray(ev.segs)) {
-          for (const seg of ev.segs) if (seg?.utf8) parts.push(seg.utf8);
-        }
-      }
-      const text = safeJoinText(parts);
-      if (text) return text;
+    const jsonUrl = `https://www.youtube.com/api/timedtext?fmt=json3&v=${encodeURIComponent(videoId)}&lang=${encodeURIComponent(lang)}`;
+    const jsonRes = await fetchTimedText(jsonUrl);
+    if (jsonRes) {
+      const result = fromSegments(parseJson3Segments(await jsonRes.json()), lang);
+      if (result) return result;
     }
-  } catch {
-    // swallow JSON fetch errors and fall back to VTT
+  } catch (err) {
+    // fall back to VTT
+    if (err?.retryable) transient = err;
   }
 
   try {
-    const vttUrl = `https://www.youtube.com/api/timedtext?fmt=vtt&v=${encodeURIComponent(videoId)}&lang=${encodeURIComponent(chosen.lang_code)}`;
-    const vttRes = await fetch(vttUrl);
-    if (!vttRes.ok) return null;
-    const vtt = await vttRes.text();
-    const lines = vtt
-      .replace(/^WEBVTT.*$/m, "")
-      .split(/\r?\n/)
-      .filter((ln) => ln && !/\d{2}:\d{2}:\d{2}\.\d{3}/.test(ln));
-    const text = safeJoinText(lines);
-    return text || null;
-  } catch {
-    // ignore and try SRV fallback
+    const vttUrl = `https://www.youtube.com/api/timedtext?fmt=vtt&v=${encodeURIComponent(videoId)}&lang=${encodeURIComponent(lang)}`;
+    const vttRes = await fetchTimedText(vttUrl);
+    if (!vttRes) return null;
+    return fromSegments(parseVttSegments(await vttRes.text()), lang);
+  } catch (err) {
+    // try SRV fallback
+    if (err?.retryable) transient = err;
   }
 
   try {
-    const srvUrl = `https://www.youtube.com/api/timedtext?fmt=srv1&v=${encodeURIComponent(videoId)}&lang=${encodeURIComponent(chosen.lang_code)}`;
-    const srvRes = await fetch(srvUrl);
-    if (!srvRes.ok) return null;
-    const xml = await srvRes.text();
-    const lines = Array.from(xml.matchAll(/<text[^>]*>(.*?)<\/text>/g)).map((m) =>
-      m[1]
-        .replace(/&amp;/g, "&")
-        .replace(/&#39;/g, "'")
-        .replace(/&quot;/g, '"')
-        .replace(/&lt;/g, "<")
-        .replace(/&gt;/g, ">")
-    );
-    const text = safeJoinText(lines);
-    return text || null;
-  } catch {
-    return null;
+    const srvUrl = `https://www.youtube.com/api/timedtext?fmt=srv1&v=${encodeURIComponent(videoId)}&lang=${encodeURIComponent(lang)}`;
+    const srvRes = await fetchTimedText(srvUrl);
+    if (srvRes) return fromSegments(parseSrv1Segments(await srvRes.text()), lang);
+  } catch (err) {
+    if (err?.retryable) transient = err;
   }
-
+  if (transient) throw transient;
   return null;
 }
 
-async function writeTranscriptFile(filePath, text) {
-  await ensureDir(path.dirname(filePath));
-  const payload = text && text.trim().length > 0 ? text : "";
-  await fs.writeFile(filePath, payload, "utf8");
+async function pushTranscriptFile(filePath, message) {
   const repoRel = path.posix.join("transcripts", path.basename(filePath));
   try {
-    await pushUpdate(filePath, repoRel, payload ? "Add transcript" : "Mark no transcript");
+    await pushUpdate(filePath, repoRel, message);
   } catch (err) {
     console.warn("pushUpdate transcript failed", { file: filePath, error: err?.message });
   }
 }
 
+async function writeTranscriptFile(filePath, text) {
+  await ensureDir(path.dirname(filePath));
+  const payload = text && text.trim().length > 0 ? text : "";
+  await fs.writeFile(filePath, payload, "utf8");
+  await pushTranscriptFile(filePath, payload ? "Add transcript" : "Mark no transcript");
+}
+
+// Segments first: a .txt without its .json just means "no timing", never the reverse
+async function writeSidecar(videoId, payload, message) {
+  const filePath = segmentsFilePath(videoId);
+  await ensureDir(path.dirname(filePath));
+  await fs.writeFile(filePath, JSON.stringify({ videoId, ...payload }), "utf8");
+  await pushTranscriptFile(filePath, message);
+}
+
+// Always written with the text (segments may be empty) so a previous marker sidecar is replaced
+function writeSegmentsFile(videoId, { segments, lang, source }) {
+  return writeSidecar(videoId, { lang: lang ?? null, source, segments: segments ?? [] }, "Add transcript segments");
+}
+
+function writeMarkerFile(videoId, marker) {
+  return writeSidecar(videoId, { marker }, "Mark no transcript");
+}
+
+// Older fixtures/recordings are plain strings; current fetches return { text, segments, lang }
+function normalizeFetched(fetched) {
+  if (!fetched) return null;
+  if (typeof fetched === "string") return { text: fetched, segments: null, lang: null };
+  return fetched;
+}
+
 export async function ensureTranscript(videoId, { fetchIfMissing = true } = {}) {
   const cached = await readCachedTranscript(videoId);
-  if (cached.exists) {
+  const retryMarker = cached.emptyMarker && fetchIfMissing && markerDue(cached.marker);
+  if (cached.exists && !retryMarker) {
     return { ...cached, status: cached.emptyMarker ? "empty-marker" : "cached", updated: false };
   }
   if (!fetchIfMissing) {
     return { ...cached, status: "missing", updated: false };
   }
 
-  const fetched = await fetchTranscriptTimedText(videoId);
-  const hasText = Boolean(fetched && fetched.trim().length > 0);
-  await writeTranscriptFile(cached.path, hasText ? fetched : "");
+  let fetched;
+  try {
+    fetched = await withFixture("youtube-transcript", { videoId }, () => fetchTranscriptTimedText(videoId));
+  } catch (err) {
+    // No recorded transcript: leave it missing rather than writing an empty marker
+    if (DRY_RUN) return { ...cached, status: "missing", updated: false };
+    throw err;
+  }
+  let result = normalizeFetched(fetched);
+  let source = "captions";
+  let reason = "no-captions";
+  let sttFailures = cached.marker?.sttFailures ?? 0;
+  let durationSec = cached.marker?.durationSec ?? null;
+
+  // No captions at all: local speech-to-text when configured (and not given up on)
+  if (!result?.text?.trim() && !DRY_RUN && sttAvailable() && sttFailures < STT_MAX_ATTEMPTS) {
+    try {
+      const stt = await transcribeVideo(videoId, { durationSec });
+      if (stt.skipped === "run-limit") return { ...cached, status: "stt-deferred", updated: false };
+      if (!stt.skipped) {
+        result = stt;
+        source = "whisper";
+      } else {
+        console.log("Speech-to-text skipped", { videoId, reason: stt.skipped });
+        if (["too-long", "no-speech"].includes(stt.skipped)) reason = stt.skipped;
+        durationSec = stt.durationSec ?? durationSec;
+      }
+    } catch (err) {
+      sttFailures += 1;
+      reason = "stt-failed";
+      durationSec = err.durationSec ?? durationSec;
+      console.warn("Speech-to-text failed", {
+        videoId,
+        failures: sttFailures,
+        retry: sttFailures < STT_MAX_ATTEMPTS ? "with the marker schedule" : "no (captions only)",
+        error: err.message,
+      });
+    }
+  }
+
+  const hasText = Boolean(result?.text && result.text.trim().length > 0);
+  const segments = hasText && Array.isArray(result.segments) && result.segments.length ? result.segments : null;
+  let marker = null;
+  if (hasText) {
+    // Sidecar first: a .txt whose .json still describes a marker would look like "no timing"
+    await writeSegmentsFile(videoId, { segments, lang: result.lang, source });
+    await writeTranscriptFile(cached.path, result.text);
+  } else {
+    const now = new Date().toISOString();
+    marker = {
+      reason,
+      firstAt: cached.marker?.firstAt ?? now,
+      lastAt: now,
+      attempts: (cached.marker?.attempts ?? 0) + 1,
+      ...(sttFailures ? { sttFailures } : {}),
+      ...(durationSec ? { durationSec } : {}),
+    };
+    await writeMarkerFile(videoId, marker);
+    if (!cached.emptyMarker) await writeTranscriptFile(cached.path, "");
+  }
   return {
     path: cached.path,
-    text: hasText ? fetched.trim() : null,
+    text: hasText ? result.text.trim() : null,
+    segments,
+    lang: hasText ? result.lang ?? null : null,
+    source: hasText ? source : null,
     exists: true,
     emptyMarker: !hasText,
-    status: hasText ? "fetched" : "empty-written",
+    marker,
+    status: hasText ? (retryMarker ? "fetched-after-marker" : "fetched") : retryMarker ? "marker-renewed" : "empty-written",
     updated: true,
   };
 }
@@ -1,8 +1,16 @@
 // scripts/list-openrouter-models.js
 // Lists all models available on OpenRouter with pricing info.
 // Run with: node scripts/list-openrouter-models.js
+// Add --write-prices to merge the per-token prices into config/model-prices.json (used by guardrails).
 
-import fetch from "node-fetch";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { fetchWithRetry } from "./lib/http.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PRICES_PATH = path.resolve(__dirname, "..", "config", "model-prices.json");
+const WRITE_PRICES = process.argv.includes("--write-prices");
 
 const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
 if (!OPENROUTER_API_KEY) {
@@ -10,14 +18,11 @@ if (!OPENROUTER_API_KEY) {
 }
 
 async function main() {
-  const res = await fetch("https://openrouter.ai/api/v1/models", {
-    headers: { Authorization: `Bearer ${OPENROUTER_API_KEY}` },
-  });
-
-  if (!res.ok) {
-    const msg = await res.text();
-    throw new Error(`Failed to fetch models: ${res.status} ${res.statusText} ${msg}`);
-  }
+  const res = await fetchWithRetry(
+    "https://openrouter.ai/api/v1/models",
+    { headers: { Authorization: `Bearer ${OPENROUTER_API_KEY}` } },
+    { label: "OpenRouter models fetch" }
+  );
 
   const data = await res.json();
   if (!data.data) {
@@ -29,11 +34,38 @@ async function main() {
     const id = m.id;
     const name = m.name || id;
     const pricing = m.pricing || {};
-    const free = pricing.prompt === 0 && pricing.completion === 0;
+    const free = Number(pricing.prompt) === 0 && Number(pricing.completion) === 0;
     console.log(
       `- ${id} (${name}) | Prompt: ${pricing.prompt ?? "?"}, Completion: ${pricing.completion ?? "?"} ${free ? "✅ FREE" : ""}`
     );
   }
+
+  if (WRITE_PRICES) await writePrices(data.data);
+}
+
+// Merge OpenRouter prices (USD per token, sent as strings) into the guardrails price table.
+// Entries for direct providers (gemini-…, deepseek-chat, …) are left as they are.
+async function writePrices(models) {
+  let table = { models: {} };
+  try {
+    table = JSON.parse(await fs.readFile(PRICES_PATH, "utf8"));
+  } catch {
+    // start a fresh table
+  }
+  table.models = table.models || {};
+
+  let written = 0;
+  for (const m of models) {
+    const input = Number(m.pricing?.prompt);
+    const output = Number(m.pricing?.completion);
+    if (!Number.isFinite(input) || !Number.isFinite(output) || input < 0 || output < 0) continue;
+    table.models[m.id] = { input, output };
+    written++;
+  }
+  table.updatedAt = new Date().toISOString();
+
+  await fs.writeFile(PRICES_PATH, JSON.stringify(table, null, 2) + "\n", "utf8");
+  console.log(`💾 Wrote ${written} OpenRouter prices → ${PRICES_PATH}`);
 }
 
 main().catch((err) => {
@@ -0,0 +1,55 @@
+// scripts/migrate-usefulness.js
+// One-off (idempotent) migration: rewrite legacy LOW usefulness to the rubric's ARCHIVE tier.
+// Touches item.projects[].usefulness only; everything else is left as-is.
+// Run with: node scripts/migrate-usefulness.js  (classify also runs it before scoring)
+
+import { openKnowledgeStore } from "./lib/knowledge-store.js";
+import { syncKnowledge, flushPending } from "./lib/kb-sync.js";
+
+function log(msg, ctx = {}) {
+  const ts = new Date().toISOString();
+  console.log(`[${ts}] ${msg}`, Object.keys(ctx).length ? ctx : "");
+}
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.store] - an open knowledge store (opened/closed here if omitted)
+ * @returns {Promise<number>} number of items rewritten
+ */
+export async function migrateUsefulness({ store } = {}) {
+  const own = !store;
+  const kb = store ?? (await openKnowledgeStore());
+  let migrated = 0;
+
+  for await (const item of kb.iterate({
+    where: (it) => (it.projects || []).some((p) => p?.usefulness === "LOW"),
+  })) {
+    for (const p of item.projects) {
+      if (p?.usefulness === "LOW") p.usefulness = "ARCHIVE";
+    }
+    await kb.upsert(item);
+    migrated++;
+  }
+
+  if (own) {
+    await kb.flush();
+    await kb.close();
+  }
+  if (migrated) log("Migrated LOW → ARCHIVE", { items: migrated });
+  return migrated;
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migrateUsefulness()
+    .then(async (n) => {
+      if (n) {
+        await syncKnowledge();
+        await flushPending("Migrate usefulness LOW → ARCHIVE");
+      }
+      log("Usefulness migration complete", { items: n });
+    })
+    .catch((err) => {
+      console.error("Usefulness migration failed", err);
+      process.exitCode = 1;
+    });
+}
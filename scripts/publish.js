@@ -1,14 +1,20 @@
 // scripts/publish.js
 // Handles local publish artifacts. Sync to GitHub is handled later in kb-sync.js.
+// Builds data/knowledge.graph.json next to knowledge.json before archiving both.
 
 import path from "node:path";
 import fs from "node:fs/promises";
 import { fileURLToPath } from "node:url";
+import { openKnowledgeStore, KNOWLEDGE_FILE } from "./lib/knowledge-store.js";
+import { DATA_DIR } from "./lib/paths.js";
+import { buildKnowledgeGraph } from "./lib/knowledge-graph.js";
+import { saveJsonCheckpoint } from "./lib/utils.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.resolve(__dirname, "..");
-const DATA = path.join(ROOT, "data");
+const DATA = DATA_DIR;
 const PUBLISH_ROOT = path.join(DATA, "publish");
+const GRAPH_FILE = path.join(DATA, "knowledge.graph.json");
 
 async function ensureDir(dir) {
   await fs.mkdir(dir, { recursive: true });
@@ -28,6 +34,7 @@ async function copyToPublish(localPath, subdir = "") {
 /**
  * Publish artifacts:
  * - knowledge.json
+ * - knowledge.graph.json (built from knowledge items)
  * - curated/latest/*
  * - digest files (if provided by digest.js)
  *
@@ -37,15 +44,24 @@ async function copyToPublish(localPath, subdir = "") {
 export async function publish({ digestResult } = {}) {
   console.log("📤 Starting publish step...");
 
-  // 1. Copy knowledge.json
-  const knowledgeFile = path.join(DATA, "knowledge.json");
+  // 1. Copy knowledge.json (exported from the store first when not file-backed)
+  const store = await openKnowledgeStore();
+  await store.flush();
+  const knowledge = await store.snapshot();
+  await store.close();
   try {
-    await copyToPublish(knowledgeFile);
+    await copyToPublish(KNOWLEDGE_FILE);
   } catch {
     console.warn("⚠️ No knowledge.json found to publish");
   }
 
-  // 2. Copy curated/latest if exists
+  // 2. Build knowledge.graph.json next to knowledge.json
+  const graph = buildKnowledgeGraph(knowledge);
+  await saveJsonCheckpoint(GRAPH_FILE, graph);
+  console.log("🕸️ Built knowledge graph", graph.stats);
+  await copyToPublish(GRAPH_FILE);
+
+  // 3. Copy curated/latest if exists
   const curatedDir = path.join(DATA, "curated", "latest");
   try {
     const files = await fs.readdir(curatedDir);
@@ -56,7 +72,7 @@ export async function publish({ digestResult } = {}) {
     console.log("ℹ️ No curated/latest directory found, skipping");
   }
 
-  // 3. Copy digest artifacts if provided
+  // 4. Copy digest artifacts if provided
   if (digestResult?.files) {
     for (const [label, filePath] of Object.entries(digestResult.files)) {
       try {
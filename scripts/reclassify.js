@@ -0,0 +1,42 @@
+// scripts/reclassify.js
+// Re-score existing classifications after a project's PRD / criteria change.
+// Usage:
+//   node scripts/reclassify.js [--project vibeflow] [--since 2025-09-01] [--until 2025-10-01]
+//                              [--stale] [--budget 200000]
+//  --project  project key under projects/ (default: all active projects)
+//  --since/--until  item date range (publishedAt → createdAt → ingestedAt)
+//  --stale    only items whose stored profileHash no longer matches the project profile
+//  --budget   token budget for the whole run (default RECLASSIFY_TOKEN_BUDGET or unlimited)
+
+import { reclassify } from "./classify.js";
+
+function parseArgs(argv) {
+  const opts = {
+    tokenBudget: Number(process.env.RECLASSIFY_TOKEN_BUDGET ?? 0),
+    failFast: { maxConsecutiveFails: Number(process.env.MAX_CONSECUTIVE_FAILS ?? 5) },
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--project") opts.project = argv[++i];
+    else if (arg === "--since") opts.since = argv[++i];
+    else if (arg === "--until") opts.until = argv[++i];
+    else if (arg === "--stale") opts.staleOnly = true;
+    else if (arg === "--budget") opts.tokenBudget = Number(argv[++i]);
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  for (const key of ["since", "until"]) {
+    if (opts[key] && Number.isNaN(new Date(opts[key]).getTime())) {
+      throw new Error(`Invalid --${key} date: ${opts[key]}`);
+    }
+  }
+  return opts;
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  Promise.resolve()
+    .then(() => reclassify(parseArgs(process.argv.slice(2))))
+    .catch((err) => {
+      console.error("Reclassify failed", err);
+      process.exitCode = 1;
+    });
+}
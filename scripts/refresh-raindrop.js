@@ -2,7 +2,7 @@
 // Refresh Raindrop tokens and write BOTH access + refresh tokens back to repo secrets.
 // Non-blocking by default: exit code 0 even on failure (workflow uses "|| true").
 
-import fetch from "node-fetch";
+import { fetchWithRetry } from "./lib/http.js";
 import { updateRepoSecrets } from "./lib/github-secrets.js";
 
 const RAINDROP_CLIENT_ID = process.env.RAINDROP_CLIENT_ID;
@@ -26,21 +26,20 @@ async function refresh() {
   }
 
   // Request a new access token (and possibly a new refresh token)
-  const resp = await fetch(RAINDROP_TOKEN_URL, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      grant_type: "refresh_token",
-      refresh_token: RAINDROP_REFRESH_TOKEN,
-      client_id: RAINDROP_CLIENT_ID,
-      client_secret: RAINDROP_CLIENT_SECRET,
-    }),
-  });
-
-  if (!resp.ok) {
-    const text = await resp.text();
-    throw new Error(`Raindrop refresh failed: ${resp.status} ${text}`);
-  }
+  const resp = await fetchWithRetry(
+    RAINDROP_TOKEN_URL,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        grant_type: "refresh_token",
+        refresh_token: RAINDROP_REFRESH_TOKEN,
+        client_id: RAINDROP_CLIENT_ID,
+        client_secret: RAINDROP_CLIENT_SECRET,
+      }),
+    },
+    { label: "Raindrop refresh" }
+  );
 
   const json = await resp.json();
   // Expected fields: access_token, token_type, expires_in, refresh_token?
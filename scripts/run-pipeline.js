@@ -1,6 +1,6 @@
 // scripts/run-pipeline.js
 // Orchestrates the full incremental knowledge pipeline:
-// ingest → enrich → classify → digest → publish → sync upstream
+// ingest → enrich → cluster → embed → classify → digest → publish → sync upstream
 //
 // Safe changes from previous version:
 // - Removed fragile bootstrap-state handling entirely
@@ -9,6 +9,7 @@
 //
 // Notes:
 // - Pulls canonical knowledge.json first (non-fatal if it fails)
+// - Pulls the budget ledger too and pushes it back with the final sync (rolling budgets span runs)
 // - Leaves ingest/enrich/classify/digest/publish/sync logic untouched
 // - Logging remains clear and mode-specific
 
@@ -18,11 +19,25 @@ import { fileURLToPath } from "node:url";
 
 import { ingest } from "./ingest.js";
 import { enrich } from "./enrich.js";
+import { cluster } from "./cluster.js";
+import { embed } from "./embed.js";
 import { classify } from "./classify.js";
 import { digest } from "./digest.js";
 import { publish } from "./publish.js";
-import { pullKnowledge, pullProjects, syncKnowledge, syncDigest } from "./lib/kb-sync.js";
+import {
+  pullKnowledge,
+  pullProjects,
+  pullBudgetLedger,
+  syncBudgetLedger,
+  syncKnowledge,
+  syncKnowledgeGraph,
+  syncDigest,
+  flushPending,
+} from "./lib/kb-sync.js";
 import { startUsageRun } from "./lib/token-usage.js";
+import { budgetStatus } from "./lib/budget-ledger.js";
+import { DRY_RUN, RECORD_FIXTURES, FIXTURES_DIR } from "./lib/dry-run.js";
+import { DATA_DIR } from "./lib/paths.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.resolve(__dirname, "..");
@@ -38,6 +53,8 @@ function log(msg, ctx = {}) {
 
 async function run() {
   log("🚀 Starting knowledge pipeline…");
+  if (DRY_RUN) log("🧪 Dry-run: replaying fixtures, writing to local outbox", { fixtures: FIXTURES_DIR, data: DATA_DIR });
+  if (RECORD_FIXTURES) log("📼 Recording fixtures", { fixtures: FIXTURES_DIR });
 
   // Token usage run (best-effort)
   try {
@@ -68,6 +85,14 @@ async function run() {
       log("⚠️ pullKnowledge failed; continuing with local knowledge.json", { error: e?.message });
     }
 
+    // Budgets are rolling windows across runs; CI starts without the ledger
+    log("⬇️ Pulling budget ledger…");
+    try {
+      await pullBudgetLedger();
+    } catch (e) {
+      log("⚠️ pullBudgetLedger failed; budgets only count this run's spend", { error: e?.message });
+    }
+
     log("📁 Pulling project definitions…");
     try {
       await pullProjects();
@@ -81,11 +106,33 @@ async function run() {
 
     // 2) Enrich
     log("✨ Enriching…", { failFastMax: MAX_CONSECUTIVE_FAILS });
-    await enrich(stageOpts);
+    const enrichResult = await enrich(stageOpts);
+    let budgetExhausted = Boolean(enrichResult?.budgetExhausted);
 
-    // 3) Classify
-    log("🏷️ Classifying…", { failFastMax: MAX_CONSECUTIVE_FAILS });
-    await classify(stageOpts);
+    // 2b) Cluster near-duplicates (non-fatal: the digest falls back to one card per item)
+    log("🧩 Clustering near-duplicates…");
+    try {
+      await cluster();
+    } catch (e) {
+      log("⚠️ Clustering failed; continuing", { error: e?.message });
+    }
+
+    // 2c) Update the local search index (non-fatal: `npm run search` refreshes it anyway)
+    log("🔎 Updating search index…");
+    try {
+      await embed();
+    } catch (e) {
+      log("⚠️ Search index update failed; continuing", { error: e?.message });
+    }
+
+    // 3) Classify (pointless once the spend budget is gone; digest/publish/sync still run)
+    if (budgetExhausted) {
+      log("⛔ Spend budget exhausted; skipping classification");
+    } else {
+      log("🏷️ Classifying…", { failFastMax: MAX_CONSECUTIVE_FAILS });
+      const classifyResult = await classify(stageOpts);
+      budgetExhausted = Boolean(classifyResult?.budgetExhausted);
+    }
 
     // 4) Digest
     log("📰 Building digest…");
@@ -95,9 +142,12 @@ async function run() {
     log("📤 Publishing…");
     await publish({ digestResult });
 
-    // 6) Sync knowledge.json upstream
-    log("⬆️ Syncing knowledge.json…");
+    // 6) Sync knowledge.json + knowledge.graph.json upstream
+    log("⬆️ Syncing knowledge.json + knowledge.graph.json…");
     await syncKnowledge();
+    await syncKnowledgeGraph();
+    await syncBudgetLedger();
+    await flushPending("Sync knowledge.json and knowledge.graph.json");
 
     // 7) Sync digest artifacts, if produced
     if (digestResult) {
@@ -105,9 +155,20 @@ async function run() {
       await syncDigest(digestResult);
     }
 
-    log("✅ Pipeline completed successfully!");
+    if (budgetExhausted) {
+      log("⛔ Pipeline finished early: budget exhausted", { status: "budget-exhausted", budget: await budgetStatus() });
+    } else {
+      log("✅ Pipeline completed successfully!");
+    }
   } catch (err) {
     log("❌ Pipeline failed", { error: err?.message ?? String(err) });
+    // Keep whatever the failed stage already checkpointed (process.exit skips beforeExit)
+    try {
+      await syncBudgetLedger();
+      await flushPending("Flush pending updates after pipeline failure");
+    } catch (e) {
+      log("⚠️ flushPending failed", { error: e?.message });
+    }
     process.exit(1);
   }
 }
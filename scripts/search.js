@@ -0,0 +1,251 @@
+// scripts/search.js
+// Natural-language search over the knowledgebase (enriched items in the local store).
+// Usage:
+//   npm run search -- "agent memory frameworks from last month" [--project vibeflow]
+//                     [--usefulness HIGH,MODERATE] [--source youtube,raindrop]
+//                     [--since 2025-09-01] [--until 2025-10-01] [--limit 10] [--json]
+//  --project     only items classified for this project (key or name); implies --usefulness
+//                HIGH,MODERATE unless given
+//  --usefulness  comma list of tiers (HIGH, MODERATE, ARCHIVE); without --project any project counts
+//  --source      comma list of sourceType values (raindrop, youtube, rss)
+//  --since/--until  item date range (publishedAt → createdAt → ingestedAt)
+//  --limit       number of results (default 10)
+//  --json        print results as JSON instead of text
+//
+// Time phrases in the query ("today", "yesterday", "this week", "last month", "past 3 weeks",
+// "since 2025-09-01") become a date filter and are removed from the text that gets embedded;
+// "last/past <unit>" is a rolling window (week = 7 days, month = 30, year = 365).
+//
+// The index (data/embeddings/search.json, see embed.js) is brought up to date first, so only items
+// enriched since the last embed run are embedded. Results are ranked by cosine similarity; members
+// of the same near-duplicate cluster (cluster.js) collapse into the best-scoring one.
+
+import "dotenv/config";
+import { updateSearchIndex } from "./embed.js";
+import { embedWith, cosine } from "./lib/embeddings.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNIT_DAYS = { day: 1, week: 7, month: 30, year: 365 };
+const USEFULNESS = ["HIGH", "MODERATE", "ARCHIVE"];
+
+function itemDate(item) {
+  const d = new Date(item.publishedAt || item.createdAt || item.ingestedAt || NaN);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function startOfDay(d) {
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+// Calendar periods start on Monday / the 1st / January 1st (UTC)
+function startOfPeriod(unit, now) {
+  if (unit === "week") return new Date(startOfDay(now).getTime() - ((now.getUTCDay() + 6) % 7) * DAY_MS);
+  if (unit === "month") return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  return new Date(Date.UTC(now.getUTCFullYear(), 0, 1));
+}
+
+const TIME_PHRASES = [
+  {
+    re: /\b(?:(?:from|in|during|over|within)\s+)?(?:the\s+)?(?:last|past)\s+(\d+)\s+(day|week|month|year)s?\b/i,
+    range: (m, now) => ({ since: new Date(now.getTime() - Number(m[1]) * UNIT_DAYS[m[2].toLowerCase()] * DAY_MS) }),
+  },
+  {
+    re: /\b(?:(?:from|in|during|over|within)\s+)?(?:the\s+)?(?:last|past)\s+(day|week|month|year)\b/i,
+    range: (m, now) => ({ since: new Date(now.getTime() - UNIT_DAYS[m[1].toLowerCase()] * DAY_MS) }),
+  },
+  {
+    re: /\b(?:(?:from|in|during)\s+)?this\s+(week|month|year)\b/i,
+    range: (m, now) => ({ since: startOfPeriod(m[1].toLowerCase(), now) }),
+  },
+  {
+    re: /\b(?:from\s+)?yesterday\b/i,
+    range: (m, now) => ({ since: new Date(startOfDay(now).getTime() - DAY_MS), until: startOfDay(now) }),
+  },
+  {
+    re: /\b(?:from\s+)?today\b/i,
+    range: (m, now) => ({ since: startOfDay(now) }),
+  },
+  {
+    re: /\bsince\s+(\d{4}-\d{2}-\d{2})\b/i,
+    range: (m) => ({ since: new Date(m[1]) }),
+  },
+];
+
+/**
+ * Split a time phrase off a query.
+ * @returns {{ text: string, since: Date|null, until: Date|null, phrase: string|null }}
+ */
+export function parseTimeFilter(query, now = new Date()) {
+  for (const { re, range } of TIME_PHRASES) {
+    const m = String(query).match(re);
+    if (!m) continue;
+    const { since = null, until = null } = range(m, now);
+    const text = String(query).replace(m[0], " ").replace(/\s+/g, " ").trim();
+    return { text, since, until, phrase: m[0].trim() };
+  }
+  return { text: String(query).trim(), since: null, until: null, phrase: null };
+}
+
+function matchesProject(cls, project) {
+  const p = project.toLowerCase();
+  return String(cls.projectKey || "").toLowerCase() === p || String(cls.project || "").toLowerCase() === p;
+}
+
+function passesFilters(item, { project, usefulness, sources, since, until }) {
+  if (sources && !sources.includes(String(item.sourceType || "").toLowerCase())) return false;
+
+  if (since || until) {
+    const d = itemDate(item);
+    if (!d) return false;
+    if (since && d < since) return false;
+    if (until && d >= until) return false;
+  }
+
+  if (project || usefulness) {
+    const classes = (Array.isArray(item.projects) ? item.projects : []).filter(
+      (cls) => (!project || matchesProject(cls, project)) && (!usefulness || usefulness.includes(cls.usefulness))
+    );
+    if (!classes.length) return false;
+  }
+  return true;
+}
+
+/**
+ * Rank enriched items against a natural-language query.
+ * @param {string} query
+ * @param {object} [options] - { project, usefulness[], sources[], since, until, limit, now, log }
+ * @returns {Promise<{ query: string, filters: object, model: string, results: object[] }>}
+ */
+export async function search(query, options = {}) {
+  const { text, since: phraseSince, until: phraseUntil, phrase } = parseTimeFilter(query, options.now);
+  const filters = {
+    project: options.project || null,
+    usefulness: options.usefulness || (options.project ? ["HIGH", "MODERATE"] : null),
+    sources: options.sources || null,
+    since: options.since ? new Date(options.since) : phraseSince,
+    until: options.until ? new Date(options.until) : phraseUntil,
+  };
+
+  const { items, vectors, entry, model } = await updateSearchIndex({ log: options.log });
+  const candidates = items.filter((it) => passesFilters(it, filters));
+
+  let scored;
+  if (text) {
+    const [queryVector] = await embedWith(entry, [text]);
+    scored = candidates
+      .map((item) => ({ item, score: vectors.has(String(item.id)) ? cosine(queryVector, vectors.get(String(item.id))) : 0 }))
+      .filter((r) => r.score > 0);
+  } else {
+    // Only a time phrase / filters: newest first
+    scored = candidates.map((item) => ({ item, score: null }));
+  }
+  scored.sort((a, b) =>
+    a.score !== b.score ? (b.score ?? 0) - (a.score ?? 0) : (itemDate(b.item) ?? 0) - (itemDate(a.item) ?? 0)
+  );
+
+  const byCluster = new Map();
+  const results = [];
+  for (const { item, score } of scored) {
+    if (item.clusterId && byCluster.has(item.clusterId)) {
+      byCluster.get(item.clusterId).similar += 1;
+      continue;
+    }
+    if (results.length >= (options.limit ?? 10)) continue; // keep counting cluster members already shown
+    const result = {
+      id: item.id,
+      title: item.title || "(untitled)",
+      url: item.url || null,
+      sourceType: item.sourceType || null,
+      publishedAt: itemDate(item)?.toISOString() ?? null,
+      score: score == null ? null : Math.round(score * 1000) / 1000,
+      summary: item.summary || "",
+      projects: (Array.isArray(item.projects) ? item.projects : [])
+        .filter((cls) => USEFULNESS.includes(cls.usefulness))
+        .map((cls) => ({ project: cls.project || cls.projectKey, usefulness: cls.usefulness })),
+      similar: 0,
+    };
+    if (item.clusterId) byCluster.set(item.clusterId, result);
+    results.push(result);
+  }
+
+  return {
+    query: text,
+    filters: { ...filters, since: filters.since?.toISOString() ?? null, until: filters.until?.toISOString() ?? null, phrase },
+    model,
+    results,
+  };
+}
+
+// ---------- CLI ----------
+function list(value) {
+  return String(value || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function parseArgs(argv) {
+  const opts = { limit: 10, json: false };
+  const words = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--project") opts.project = argv[++i];
+    else if (arg === "--usefulness") opts.usefulness = list(argv[++i]).map((u) => u.toUpperCase());
+    else if (arg === "--source") opts.sources = list(argv[++i]).map((s) => s.toLowerCase());
+    else if (arg === "--since") opts.since = argv[++i];
+    else if (arg === "--until") opts.until = argv[++i];
+    else if (arg === "--limit") opts.limit = Number(argv[++i]);
+    else if (arg === "--json") opts.json = true;
+    else if (arg.startsWith("--")) throw new Error(`Unknown argument: ${arg}`);
+    else words.push(arg);
+  }
+  for (const key of ["since", "until"]) {
+    if (opts[key] && Number.isNaN(new Date(opts[key]).getTime())) {
+      throw new Error(`Invalid --${key} date: ${opts[key]}`);
+    }
+  }
+  const unknownTier = (opts.usefulness || []).find((u) => !USEFULNESS.includes(u));
+  if (unknownTier) throw new Error(`Invalid --usefulness tier: ${unknownTier}`);
+  if (!Number.isInteger(opts.limit) || opts.limit < 1) throw new Error("--limit must be a positive integer");
+  opts.query = words.join(" ").trim();
+  if (!opts.query && !opts.project && !opts.sources && !opts.since) {
+    throw new Error('Usage: npm run search -- "<query>" [--project key] [--usefulness HIGH,MODERATE] [--source youtube] [--limit 10] [--json]');
+  }
+  return opts;
+}
+
+function renderText({ query, filters, model, results }) {
+  const applied = [
+    filters.project && `project ${filters.project}`,
+    filters.usefulness && filters.usefulness.join("/"),
+    filters.sources && `source ${filters.sources.join("/")}`,
+    filters.since && `since ${filters.since.slice(0, 10)}`,
+    filters.until && `until ${filters.until.slice(0, 10)}`,
+  ].filter(Boolean);
+  const lines = [`Search: "${query}"${applied.length ? ` (${applied.join(", ")})` : ""} — ${results.length} result(s), ${model}`];
+  results.forEach((r, i) => {
+    const tiers = r.projects.map((p) => `${p.project}: ${p.usefulness}`).join(", ");
+    lines.push(
+      "",
+      `${String(i + 1).padStart(2)}. ${r.score == null ? "" : `${r.score.toFixed(3)}  `}[${r.sourceType || "?"}] ${r.title}`,
+      ...(r.url ? [`    ${r.url}`] : []),
+      `    ${(r.publishedAt || "").slice(0, 10) || "undated"}${tiers ? ` · ${tiers}` : ""}${r.similar ? ` · +${r.similar} similar` : ""}`,
+      ...(r.summary ? [`    ${r.summary.length > 240 ? `${r.summary.slice(0, 237)}...` : r.summary}`] : [])
+    );
+  });
+  return lines.join("\n");
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  Promise.resolve()
+    .then(async () => {
+      const opts = parseArgs(process.argv.slice(2));
+      // Keep stdout for results (--json output must stay parseable)
+      const out = await search(opts.query, { ...opts, log: (msg, ctx) => console.error(msg, ctx ?? "") });
+      console.log(opts.json ? JSON.stringify(out, null, 2) : renderText(out));
+    })
+    .catch((err) => {
+      console.error("Search failed", err.message);
+      process.exitCode = 1;
+    });
+}